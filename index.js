@@ -1,3 +1,51 @@
 import Snodeify from './lib/Snodeify.js'
 
+export {
+    SpotifyApiError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    InsufficientScopeError,
+    NotFoundError,
+    RateLimitError,
+    ServerError,
+    TimeoutError,
+    AuthorizationError,
+    AccessDeniedError,
+    StateMismatchError,
+    UnmatchedRequestError
+} from './lib/errors.js'
+export { generateCodeChallenge, generateCodeVerifier } from './lib/auth.js'
+export { Scopes, endpointScopes, getRequiredScopes } from './lib/scopes.js'
+export { SessionManager, defaultMaxSessions } from './lib/sessions.js'
+export { MockSpotifyServer } from './lib/mock/server.js'
+export { createFixtures } from './lib/mock/fixtures.js'
+export { defaultCacheRules, FileCacheStore, MemoryCacheStore, ResponseCache } from './lib/cache.js'
+export { Cassette, CassetteMode } from './lib/cassette.js'
+export { batchedEndpoints, BatchLoader } from './lib/loader.js'
+export { createJSONLogger, LogLevel } from './lib/logger.js'
+export { defaultLatencyBuckets, MetricsCollector } from './lib/metrics.js'
+export { MemoryStateStore } from './lib/state.js'
+export { FileTokenStore, MemoryTokenStore } from './lib/tokenStore.js'
+export { RateLimiter, RequestPriority } from './lib/requests/RateLimiter.js'
+export { paginate, Paginator, CursorPaginator, CursorDirection } from './lib/pagination.js'
+
+/*
+ * Standalone endpoints, taking the access token as their first argument
+ */
+export * from './lib/album.js'
+export * from './lib/artist.js'
+export * from './lib/audiobook.js'
+export * from './lib/categories.js'
+export * from './lib/chapters.js'
+export * from './lib/episodes.js'
+export * from './lib/genres.js'
+export * from './lib/markets.js'
+export * from './lib/players.js'
+export * from './lib/playlists.js'
+export * from './lib/search.js'
+export * from './lib/shows.js'
+export * from './lib/tracks.js'
+export * from './lib/users.js'
+
 export default Snodeify
@@ -1,6 +1,16 @@
 'use strict'
 
-import {getAccessToken, getLoginURI, getRefreshToken, setAccessToken} from './auth.js'
+import { EventEmitter } from 'node:events'
+import {
+    getAccessToken,
+    getClientCredentialsToken,
+    getLoginURI,
+    getPKCEAccessToken,
+    getRefreshToken,
+    handleCallback,
+    setAccessToken,
+    startLogin
+} from './auth.js'
 import {
     checkUserSavedAlbums,
     getAlbum,
@@ -57,6 +67,7 @@ import {
     reorderPlaylistItems,
     replacePlaylistItems
 } from './playlists.js'
+import { paginateEndpoint } from './pagination.js'
 import { searchForItem } from './search.js'
 import {
     checkUserSavedShows,
@@ -75,14 +86,132 @@ import {
     getUserSavedTracks, removeUserSavedTracks,
     saveTracksForCurrentUser
 } from './tracks.js'
+import { getFollowedArtists } from './users.js'
+import { AuthenticationError, InsufficientScopeError } from './errors.js'
+import { resolveRateLimiter } from './requests/RateLimiter.js'
+import { resolveRetryPolicy } from './requests/RetryPolicy.js'
+import { resolveTransport } from './requests/Transport.js'
+import { BatchLoader } from './loader.js'
+import { loginWithLoopback } from './loopback.js'
+import { getMissingScopes } from './scopes.js'
+import { SessionManager } from './sessions.js'
+import { MemoryStateStore } from './state.js'
+import { ClientCredentialsManager, TokenManager } from './tokens.js'
 
-class Snodeify {
+class Snodeify extends EventEmitter {
     constructor(config) {
+        super()
         this.redirectURI = config.redirectURI
         this.clientID = config.clientID
         this.clientSecret = config.clientSecret
         this.responseType = config.responseType
         this.scopes = config.scopes
+        this.tokens = new TokenManager(this, {
+            accessToken: config.accessToken,
+            refreshToken: config.refreshToken,
+            expiresAt: config.expiresAt,
+            refreshMarginMS: config.tokenRefreshMarginMS,
+            store: config.tokenStore,
+            userID: config.userID ?? 'default'
+        })
+        this.appTokens = new ClientCredentialsManager(this, { refreshMarginMS: config.tokenRefreshMarginMS })
+        this.stateStore = config.stateStore ?? new MemoryStateStore()
+        this.retryPolicy = resolveRetryPolicy(config.retry)
+        this.transport = resolveTransport(config.transport)
+        this.interceptors = [...(config.interceptors ?? [])]
+        this.chunkConcurrency = config.chunkConcurrency
+        this.cassette = config.cassette ?? null
+        this.logger = config.logger ?? null
+        this.cache = config.cache ?? null
+        this.rateLimiter = resolveRateLimiter(config.rateLimit)
+        this.inFlightRequests = config.coalesceRequests === false ? null : new Map()
+        this.sessions = new SessionManager(this, { maxSessions: config.maxSessions })
+        this.bindsAccessToken = config.bindAccessToken === true
+    }
+
+    /**
+     * The current access token of the instance
+     * @type {string}
+     */
+    get accessToken() {
+        return this.tokens.accessToken
+    }
+
+    set accessToken(accessToken) {
+        this.tokens.setAccessToken(accessToken)
+    }
+
+    /**
+     * Get the session of a user
+     * The session has every method of the instance and shares its configuration, but holds the tokens of the user,
+     * e.g. `snodeify.forUser(userID).getUserSavedTracks()`.
+     * @param {string} userID - The ID of the user, which keys the tokens in the token store.
+     * @param {Object} tokens - The tokens of the user, if already known, see SessionManager.get.
+     * @returns {Snodeify} The session of the user.
+     */
+    forUser(userID, tokens) {
+        return this.sessions.get(userID, tokens)
+    }
+
+    /**
+     * Log the user out
+     * Forget the tokens of the user, and delete them from the token store.
+     * @returns {Promise<void>} A promise that resolves once the tokens are deleted.
+     */
+    logout() {
+        return this.tokens.clear()
+    }
+
+    /**
+     * Register an interceptor applied to every request of this instance and its sessions
+     * @param {Object} interceptor - The interceptor.
+     * @param {function(Object): (Response|void)} interceptor.onRequest - Called with the request context (url, method,
+     *                          headers, body) before it is sent. Mutate the context to change the request, or return
+     *                          a response to skip sending it.
+     * @param {function(Response, Object): (Response|void)} interceptor.onResponse - Called with every response
+     *                          received. Return a response to replace it.
+     * @param {function(Error, Object): (Response|void)} interceptor.onError - Called when the request has failed for
+     *                          good. Return a response to recover from the error.
+     * @returns {function(): void} A function that removes the interceptor.
+     */
+    use(interceptor) {
+        const interceptors = this.interceptors
+        interceptors.push(interceptor)
+        return () => {
+            const index = interceptors.indexOf(interceptor)
+            if (index !== -1) {
+                interceptors.splice(index, 1)
+            }
+        }
+    }
+
+    /**
+     * Paginate
+     * Iterate over every item of a paged endpoint of this instance, e.g.
+     * `for await (const item of snodeify.paginate('getPlaylistItems', [accessToken, id]))`.
+     * @param {string | function} method - The endpoint, or its name.
+     * @param {Array} args - The arguments of the endpoint, starting with the access token unless the instance binds
+     *                          it, see bindAccessToken in the config.
+     * @param {Object} options - The pagination options, see paginate in pagination.js.
+     * @returns {Paginator} An async iterable over the items, which can also collect them with collectAll().
+     */
+    paginate(method, args = [], options = {}) {
+        if (!this.bindsAccessToken) {
+            return paginateEndpoint(method, args, options, (endpoint, pageArgs) => this[endpoint.method.name](...pageArgs))
+        }
+        return paginateEndpoint(method, [null, ...args], options, (endpoint, pageArgs) => {
+            return this[endpoint.method.name](...pageArgs.slice(1))
+        })
+    }
+
+    /**
+     * Create a loader batching the single item lookups of this instance
+     * e.g. `loader.loadTrack(id)` calls made within the same tick are sent through a single getSeveralTracks call.
+     * @param {Object} options - The loader options, see BatchLoader.
+     * @returns {BatchLoader} The loader.
+     */
+    createLoader(options) {
+        return new BatchLoader(this, options)
     }
 
     static withConfig(config) {
@@ -90,143 +219,244 @@ class Snodeify {
     }
 }
 
+/**
+ * Find the request options among the arguments of an endpoint call, so that refreshing the token honours them too
+ * They are the last argument, but may be left out; the other arguments never have a signal or a timeout.
+ * @param {Array} args - The arguments of the call, without the access token.
+ * @returns {RequestOptions|undefined} The request options, if given.
+ */
+const findRequestOptions = function(args) {
+    const last = args.at(-1)
+    if (last != null && typeof last === 'object' && ['signal', 'timeoutMs', 'timeoutMS'].some((key) => key in last)) {
+        return last
+    }
+    return undefined
+}
+
+/**
+ * The endpoints reading or changing the data of the current user, under me/, which cannot be called with an app token.
+ * @type {Set<string>}
+ */
+const userEndpoints = new Set([
+    'checkUserSavedAlbums', 'getUserSavedAlbums', 'removeUserSavedAlbums', 'saveAlbumsForCurrentUser',
+    'checkUserSavedAudiobooks', 'getUserSavedAudiobooks', 'removeUserSavedAudiobooks', 'saveAudiobooksForCurrentUser',
+    'checkUserSavedEpisodes', 'getUserSavedEpisodes', 'removeUserSavedEpisodes', 'saveEpisodesForCurrentUser',
+    'addItemToPlaybackQueue', 'getAvailableDevices', 'getCurrentlyPlayingTrack', 'getPlaybackState',
+    'getRecentlyPlayedTracks', 'getUserQueue', 'pausePlayback', 'seekToPosition', 'setPlaybackVolume',
+    'setRepeatMode', 'skipToNext', 'skipToPrevious', 'startPlayback', 'togglePlaybackShuffle', 'transferPlayback',
+    'getCurrentUserPlaylists',
+    'checkUserSavedShows', 'getUserSavedShows', 'removeUserSavedShows', 'saveShowsForCurrentUser',
+    'checkUserSavedTracks', 'getUserSavedTracks', 'removeUserSavedTracks', 'saveTracksForCurrentUser',
+    'getFollowedArtists'
+])
+
+/**
+ * Select the tokens an endpoint is called with: the tokens of the user when there are any, or else the app token
+ * of the Client Credentials grant for the endpoints outside of me/.
+ * @param {Snodeify} client - The instance.
+ * @param {function} endpoint - The endpoint.
+ * @returns {TokenManager} The tokens to call the endpoint with.
+ */
+const selectTokens = function(client, endpoint) {
+    const { tokens, appTokens } = client
+    if (tokens.accessToken || tokens.canRefresh() || userEndpoints.has(endpoint.name) || !appTokens.canRefresh()) {
+        return tokens
+    }
+    return appTokens
+}
+
+/**
+ * Bind an endpoint to the access token of the instance, so that it is called without the access token argument,
+ * e.g. `snodeify.getTrack(id)` instead of `snodeify.getTrack(accessToken, id)`, when the instance is configured with
+ * `bindAccessToken: true`. Otherwise, the endpoint keeps taking the access token as its first argument.
+ * Without a user, the endpoints outside of me/ are called with the app token of the Client Credentials grant.
+ * When the scopes granted to the token are known, an endpoint needing other scopes fails before the request is sent.
+ * An access token about to expire is refreshed before the request is sent, and a request rejected with a 401 is sent
+ * once more with a freshly refreshed token, as long as a refresh token is known.
+ * @param {function} endpoint - The endpoint, taking the access token as its first argument.
+ * @returns {function} The endpoint bound to the access token of the instance.
+ */
+const bindAccessToken = function(endpoint) {
+    const bound = async function(...args) {
+        // The requests of the call are reported under the name of the endpoint, see the events of Request.fetch.
+        const caller = Object.create(this, { endpointName: { value: endpoint.name } })
+        if (!this.bindsAccessToken) {
+            return endpoint.call(caller, ...args)
+        }
+        await this.tokens.load()
+        const tokens = selectTokens(this, endpoint)
+        const requestOptions = findRequestOptions(args)
+        const accessToken = await tokens.getAccessToken(requestOptions)
+        if (!accessToken) {
+            throw new AuthenticationError('No access token has been set, call setAccessToken first.')
+        }
+        const missingScopes = tokens.scope != null ? getMissingScopes(endpoint, tokens.scope) : []
+        if (missingScopes.length > 0) {
+            throw new InsufficientScopeError(
+                `${endpoint.name} needs scopes that have not been granted: ${missingScopes.join(', ')}.`,
+                missingScopes
+            )
+        }
+        try {
+            return await endpoint.call(caller, accessToken, ...args)
+        } catch (error) {
+            if (!(error instanceof AuthenticationError) || !tokens.canRefresh()) {
+                throw error
+            }
+            return endpoint.call(caller, await tokens.refresh(accessToken, requestOptions), ...args)
+        }
+    }
+    Object.defineProperty(bound, 'name', { value: endpoint.name })
+    return bound
+}
+
 /*
  * Authentication methods
  */
 Snodeify.prototype.getLoginURI = getLoginURI
+Snodeify.prototype.startLogin = startLogin
+Snodeify.prototype.handleCallback = handleCallback
+Snodeify.prototype.loginWithLoopback = loginWithLoopback
 Snodeify.prototype.getAccessToken = getAccessToken
+Snodeify.prototype.getPKCEAccessToken = getPKCEAccessToken
 Snodeify.prototype.getRefreshToken = getRefreshToken
+Snodeify.prototype.getClientCredentialsToken = getClientCredentialsToken
 Snodeify.prototype.setAccessToken = setAccessToken
 
 /*
  * Albums methods
  */
-Snodeify.prototype.getAlbum = getAlbum
-Snodeify.prototype.getSeveralAlbums = getSeveralAlbums
-Snodeify.prototype.getAlbumTracks = getAlbumTracks
-Snodeify.prototype.getUserSavedAlbums = getUserSavedAlbums
-Snodeify.prototype.saveAlbumsForCurrentUser = saveAlbumsForCurrentUser
-Snodeify.prototype.removeUserSavedAlbums = removeUserSavedAlbums
-Snodeify.prototype.checkUserSavedAlbums = checkUserSavedAlbums
-Snodeify.prototype.getNewReleases = getNewReleases
+Snodeify.prototype.getAlbum = bindAccessToken(getAlbum)
+Snodeify.prototype.getSeveralAlbums = bindAccessToken(getSeveralAlbums)
+Snodeify.prototype.getAlbumTracks = bindAccessToken(getAlbumTracks)
+Snodeify.prototype.getUserSavedAlbums = bindAccessToken(getUserSavedAlbums)
+Snodeify.prototype.saveAlbumsForCurrentUser = bindAccessToken(saveAlbumsForCurrentUser)
+Snodeify.prototype.removeUserSavedAlbums = bindAccessToken(removeUserSavedAlbums)
+Snodeify.prototype.checkUserSavedAlbums = bindAccessToken(checkUserSavedAlbums)
+Snodeify.prototype.getNewReleases = bindAccessToken(getNewReleases)
 
 /*
  * Artists methods
  */
-Snodeify.prototype.getArtist = getArtist
-Snodeify.prototype.getSeveralArtists = getSeveralArtists
-Snodeify.prototype.getArtistAlbums = getArtistAlbums
-Snodeify.prototype.getArtistTopTracks = getArtistTopTracks
-Snodeify.prototype.getArtistRelatedArtists = getArtistRelatedArtists
+Snodeify.prototype.getArtist = bindAccessToken(getArtist)
+Snodeify.prototype.getSeveralArtists = bindAccessToken(getSeveralArtists)
+Snodeify.prototype.getArtistAlbums = bindAccessToken(getArtistAlbums)
+Snodeify.prototype.getArtistTopTracks = bindAccessToken(getArtistTopTracks)
+Snodeify.prototype.getArtistRelatedArtists = bindAccessToken(getArtistRelatedArtists)
 
 /*
  * Audiobooks methods
  */
-Snodeify.prototype.getAudiobook = getAudiobook
-Snodeify.prototype.getSeveralAudiobooks = getSeveralAudiobooks
-Snodeify.prototype.getAudiobookChapters = getAudiobookChapters
-Snodeify.prototype.getUserSavedAudiobooks = getUserSavedAudiobooks
-Snodeify.prototype.saveAudiobooksForCurrentUser = saveAudiobooksForCurrentUser
-Snodeify.prototype.removeUserSavedAudiobooks = removeUserSavedAudiobooks
-Snodeify.prototype.checkUserSavedAudiobooks = checkUserSavedAudiobooks
+Snodeify.prototype.getAudiobook = bindAccessToken(getAudiobook)
+Snodeify.prototype.getSeveralAudiobooks = bindAccessToken(getSeveralAudiobooks)
+Snodeify.prototype.getAudiobookChapters = bindAccessToken(getAudiobookChapters)
+Snodeify.prototype.getUserSavedAudiobooks = bindAccessToken(getUserSavedAudiobooks)
+Snodeify.prototype.saveAudiobooksForCurrentUser = bindAccessToken(saveAudiobooksForCurrentUser)
+Snodeify.prototype.removeUserSavedAudiobooks = bindAccessToken(removeUserSavedAudiobooks)
+Snodeify.prototype.checkUserSavedAudiobooks = bindAccessToken(checkUserSavedAudiobooks)
 
 /*
  * Categories methods
  */
-Snodeify.prototype.getSeveralBrowseCategories = getSeveralBrowseCategories
-Snodeify.prototype.getSingleBrowseCategory = getSingleBrowseCategory
+Snodeify.prototype.getSeveralBrowseCategories = bindAccessToken(getSeveralBrowseCategories)
+Snodeify.prototype.getSingleBrowseCategory = bindAccessToken(getSingleBrowseCategory)
 
 /*
  * Chapters methods
  */
-Snodeify.prototype.getChapter = getChapter
-Snodeify.prototype.getSeveralChapters = getSeveralChapters
+Snodeify.prototype.getChapter = bindAccessToken(getChapter)
+Snodeify.prototype.getSeveralChapters = bindAccessToken(getSeveralChapters)
 
 /*
  * Episodes methods
  */
-Snodeify.prototype.getEpisode = getEpisode
-Snodeify.prototype.getSeveralEpisodes = getSeveralEpisodes
-Snodeify.prototype.getUserSavedEpisodes = getUserSavedEpisodes
-Snodeify.prototype.saveEpisodesForCurrentUser = saveEpisodesForCurrentUser
-Snodeify.prototype.removeUserSavedEpisodes = removeUserSavedEpisodes
-Snodeify.prototype.checkUserSavedEpisodes = checkUserSavedEpisodes
+Snodeify.prototype.getEpisode = bindAccessToken(getEpisode)
+Snodeify.prototype.getSeveralEpisodes = bindAccessToken(getSeveralEpisodes)
+Snodeify.prototype.getUserSavedEpisodes = bindAccessToken(getUserSavedEpisodes)
+Snodeify.prototype.saveEpisodesForCurrentUser = bindAccessToken(saveEpisodesForCurrentUser)
+Snodeify.prototype.removeUserSavedEpisodes = bindAccessToken(removeUserSavedEpisodes)
+Snodeify.prototype.checkUserSavedEpisodes = bindAccessToken(checkUserSavedEpisodes)
 
 /*
  * Genres methods
  */
-Snodeify.prototype.getAvailableGenreSeeds = getAvailableGenreSeeds
+Snodeify.prototype.getAvailableGenreSeeds = bindAccessToken(getAvailableGenreSeeds)
 
 /*
  * Markets methods
  */
-Snodeify.prototype.getAvailableMarkets = getAvailableMarkets
+Snodeify.prototype.getAvailableMarkets = bindAccessToken(getAvailableMarkets)
 
 /*
  * Players methods
  */
-Snodeify.prototype.getPlaybackState = getPlaybackState
-Snodeify.prototype.transferPlayback = transferPlayback
-Snodeify.prototype.getAvailableDevices = getAvailableDevices
-Snodeify.prototype.getCurrentlyPlayingTrack = getCurrentlyPlayingTrack
-Snodeify.prototype.startPlayback = startPlayback
-Snodeify.prototype.pausePlayback = pausePlayback
-Snodeify.prototype.skipToNext = skipToNext
-Snodeify.prototype.skipToPrevious = skipToPrevious
-Snodeify.prototype.seekToPosition = seekToPosition
-Snodeify.prototype.setRepeatMode = setRepeatMode
-Snodeify.prototype.setPlaybackVolume = setPlaybackVolume
-Snodeify.prototype.togglePlaybackShuffle = togglePlaybackShuffle
-Snodeify.prototype.getRecentlyPlayedTracks = getRecentlyPlayedTracks
-Snodeify.prototype.getUserQueue = getUserQueue
-Snodeify.prototype.addItemToPlaybackQueue = addItemToPlaybackQueue
+Snodeify.prototype.getPlaybackState = bindAccessToken(getPlaybackState)
+Snodeify.prototype.transferPlayback = bindAccessToken(transferPlayback)
+Snodeify.prototype.getAvailableDevices = bindAccessToken(getAvailableDevices)
+Snodeify.prototype.getCurrentlyPlayingTrack = bindAccessToken(getCurrentlyPlayingTrack)
+Snodeify.prototype.startPlayback = bindAccessToken(startPlayback)
+Snodeify.prototype.pausePlayback = bindAccessToken(pausePlayback)
+Snodeify.prototype.skipToNext = bindAccessToken(skipToNext)
+Snodeify.prototype.skipToPrevious = bindAccessToken(skipToPrevious)
+Snodeify.prototype.seekToPosition = bindAccessToken(seekToPosition)
+Snodeify.prototype.setRepeatMode = bindAccessToken(setRepeatMode)
+Snodeify.prototype.setPlaybackVolume = bindAccessToken(setPlaybackVolume)
+Snodeify.prototype.togglePlaybackShuffle = bindAccessToken(togglePlaybackShuffle)
+Snodeify.prototype.getRecentlyPlayedTracks = bindAccessToken(getRecentlyPlayedTracks)
+Snodeify.prototype.getUserQueue = bindAccessToken(getUserQueue)
+Snodeify.prototype.addItemToPlaybackQueue = bindAccessToken(addItemToPlaybackQueue)
 
 /*
  * Playlist methods
  */
-Snodeify.prototype.getPlaylist = getPlaylist
-Snodeify.prototype.changePlaylistDetails = changePlaylistDetails
-Snodeify.prototype.getPlaylistItems = getPlaylistItems
-Snodeify.prototype.reorderPlaylistItems = reorderPlaylistItems
-Snodeify.prototype.replacePlaylistItems = replacePlaylistItems
-Snodeify.prototype.addItemsToPlaylist = addItemsToPlaylist
-Snodeify.prototype.removePlaylistItems = removePlaylistItems
-Snodeify.prototype.getCurrentUserPlaylists = getCurrentUserPlaylists
-Snodeify.prototype.getUserPlaylists = getUserPlaylists
-Snodeify.prototype.createPlaylist = createPlaylist
-Snodeify.prototype.getFeaturedPlaylists = getFeaturedPlaylists
-Snodeify.prototype.getCategoryPlaylists = getCategoryPlaylists
-Snodeify.prototype.getPlaylistCoverImage = getPlaylistCoverImage
-Snodeify.prototype.addCustomPlaylistCoverImage = addCustomPlaylistCoverImage
+Snodeify.prototype.getPlaylist = bindAccessToken(getPlaylist)
+Snodeify.prototype.changePlaylistDetails = bindAccessToken(changePlaylistDetails)
+Snodeify.prototype.getPlaylistItems = bindAccessToken(getPlaylistItems)
+Snodeify.prototype.reorderPlaylistItems = bindAccessToken(reorderPlaylistItems)
+Snodeify.prototype.replacePlaylistItems = bindAccessToken(replacePlaylistItems)
+Snodeify.prototype.addItemsToPlaylist = bindAccessToken(addItemsToPlaylist)
+Snodeify.prototype.removePlaylistItems = bindAccessToken(removePlaylistItems)
+Snodeify.prototype.getCurrentUserPlaylists = bindAccessToken(getCurrentUserPlaylists)
+Snodeify.prototype.getUserPlaylists = bindAccessToken(getUserPlaylists)
+Snodeify.prototype.createPlaylist = bindAccessToken(createPlaylist)
+Snodeify.prototype.getFeaturedPlaylists = bindAccessToken(getFeaturedPlaylists)
+Snodeify.prototype.getCategoryPlaylists = bindAccessToken(getCategoryPlaylists)
+Snodeify.prototype.getPlaylistCoverImage = bindAccessToken(getPlaylistCoverImage)
+Snodeify.prototype.addCustomPlaylistCoverImage = bindAccessToken(addCustomPlaylistCoverImage)
 
 /*
  * Search methods
  */
-Snodeify.prototype.searchForItem = searchForItem
+Snodeify.prototype.searchForItem = bindAccessToken(searchForItem)
 
 /*
  * Shows methods
  */
-Snodeify.prototype.getShow = getShow
-Snodeify.prototype.getSeveralShows = getSeveralShows
-Snodeify.prototype.getShowEpisodes = getShowEpisodes
-Snodeify.prototype.getUserSavedShows = getUserSavedShows
-Snodeify.prototype.saveShowsForCurrentUser = saveShowsForCurrentUser
-Snodeify.prototype.removeUserSavedShows = removeUserSavedShows
-Snodeify.prototype.checkUserSavedShows = checkUserSavedShows
+Snodeify.prototype.getShow = bindAccessToken(getShow)
+Snodeify.prototype.getSeveralShows = bindAccessToken(getSeveralShows)
+Snodeify.prototype.getShowEpisodes = bindAccessToken(getShowEpisodes)
+Snodeify.prototype.getUserSavedShows = bindAccessToken(getUserSavedShows)
+Snodeify.prototype.saveShowsForCurrentUser = bindAccessToken(saveShowsForCurrentUser)
+Snodeify.prototype.removeUserSavedShows = bindAccessToken(removeUserSavedShows)
+Snodeify.prototype.checkUserSavedShows = bindAccessToken(checkUserSavedShows)
 
 /*
  * Tracks methods
  */
-Snodeify.prototype.getTrack = getTrack
-Snodeify.prototype.getSeveralTracks = getSeveralTracks
-Snodeify.prototype.getUserSavedTracks = getUserSavedTracks
-Snodeify.prototype.saveTracksForCurrentUser = saveTracksForCurrentUser
-Snodeify.prototype.removeUserSavedTracks = removeUserSavedTracks
-Snodeify.prototype.checkUserSavedTracks = checkUserSavedTracks
-Snodeify.prototype.getSeveralTrackAudioFeatures = getSeveralTrackAudioFeatures
-Snodeify.prototype.getTrackAudioFeatures = getTrackAudioFeatures
-Snodeify.prototype.getTrackAudioAnalysis = getTrackAudioAnalysis
-Snodeify.prototype.getRecommendations = getRecommendations
+Snodeify.prototype.getTrack = bindAccessToken(getTrack)
+Snodeify.prototype.getSeveralTracks = bindAccessToken(getSeveralTracks)
+Snodeify.prototype.getUserSavedTracks = bindAccessToken(getUserSavedTracks)
+Snodeify.prototype.saveTracksForCurrentUser = bindAccessToken(saveTracksForCurrentUser)
+Snodeify.prototype.removeUserSavedTracks = bindAccessToken(removeUserSavedTracks)
+Snodeify.prototype.checkUserSavedTracks = bindAccessToken(checkUserSavedTracks)
+Snodeify.prototype.getSeveralTrackAudioFeatures = bindAccessToken(getSeveralTrackAudioFeatures)
+Snodeify.prototype.getTrackAudioFeatures = bindAccessToken(getTrackAudioFeatures)
+Snodeify.prototype.getTrackAudioAnalysis = bindAccessToken(getTrackAudioAnalysis)
+Snodeify.prototype.getRecommendations = bindAccessToken(getRecommendations)
+
+/*
+ * Users methods
+ */
+Snodeify.prototype.getFollowedArtists = bindAccessToken(getFollowedArtists)
 
 export default Snodeify
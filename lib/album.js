@@ -1,7 +1,9 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
+import { ValidationError } from './errors.js'
+import { inChunks } from './chunking.js'
 
 /**
  * Get Album
@@ -13,11 +15,12 @@ import { ContentType, Method, AuthorizationType } from './requests/Request.js'
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the album information.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getAlbum = async function(accessToken, id, market = ''){
-    const response = await WebRequest.builder()
+export const getAlbum = async function(accessToken, id, market = '', requestOptions){
+    const response = await WebRequest.builder(this)
         .withPath(`albums/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -25,10 +28,11 @@ export const getAlbum = async function(accessToken, id, market = ''){
         .withQueryParameters({
             market
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json();
+    return readJSON(response);
 }
 
 /**
@@ -36,43 +40,36 @@ export const getAlbum = async function(accessToken, id, market = ''){
  * Get Spotify catalog information for multiple albums identified by their Spotify IDs.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {[string]} ids - An array of Spotify Album IDs. Maximum: 20 IDs.
+ * @param {[string]} ids - An array of Spotify Album IDs. Sent 20 IDs per request.
  * @param {string} market - An ISO 3166-1 alpha-2 country code. If a country code is specified, only content
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing a list of information
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSeveralAlbums = async function(accessToken, ids, market) {
-    if (ids.length > 20) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (20) number of albums allowed.'
-        }
-    }
-
+export const getSeveralAlbums = async function(accessToken, ids, market, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Album ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Album ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('albums')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: idString,
-            market
-        })
-        .build()
-        .fetch()
+    return inChunks.call(this, ids, 20, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('albums')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(','),
+                market
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 /**
  * Get Album Tracks
@@ -88,11 +85,12 @@ export const getSeveralAlbums = async function(accessToken, ids, market) {
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first item to return. Default: 0 (the first item). Use with
  *                          limit to get the next set of items.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolved to the JSON object containing the pages of tracks
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getAlbumTracks = async function(accessToken, id, market, limit, offset){
-    const response = await WebRequest.builder()
+export const getAlbumTracks = async function(accessToken, id, market, limit, offset, requestOptions){
+    const response = await WebRequest.builder(this)
         .withPath(`albums/${id}/tracks`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -102,10 +100,11 @@ export const getAlbumTracks = async function(accessToken, id, market, limit, off
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -120,12 +119,13 @@ export const getAlbumTracks = async function(accessToken, id, market, limit, off
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<object>} A Promise that resolves to the JSON object containing the list of user saved
  *                          albums.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getUserSavedAlbums = async function(accessToken, limit = 20, offset = 0, market = '' ) {
-    const response = await WebRequest.builder()
+export const getUserSavedAlbums = async function(accessToken, limit = 20, offset = 0, market = '', requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/albums')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -135,49 +135,43 @@ export const getUserSavedAlbums = async function(accessToken, limit = 20, offset
             offset,
             market
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json();
+    return readJSON(response);
 }
 
 /**
  * Save one or more albums to the current user's 'Your Music' library.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - An array of Spotify Album IDs. Maximum: 20 IDs.
+ * @param {string[]} ids - An array of Spotify Album IDs. Sent 20 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns Promise<Object> - A promise that resolves to the JSON object containing the
  *                          status information that the album is saved.
- * @throws {Error} Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} Will throw an error if the API responds with an error status.
  */
-export const saveAlbumsForCurrentUser = async function(accessToken, ids){
-    if (ids.length > 20) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (20) number of albums allowed.'
-        }
-    }
-
+export const saveAlbumsForCurrentUser = async function(accessToken, ids, requestOptions){
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Album ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Album ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('albums')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.PUT)
-        .withQueryParameters({
-            ids: idString,
-        })
-        .build()
-        .fetch()
+    return inChunks.call(this, ids, 20, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/albums')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.PUT)
+            .withQueryParameters({
+                ids: chunk.join(','),
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -185,39 +179,32 @@ export const saveAlbumsForCurrentUser = async function(accessToken, ids){
  * Remove one or more albums from the current user's 'Your Music' library.
  * @async
  * @param {string} accessToken - The access token for the authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the albums. Maximum: 20 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the albums. Sent 20 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<void>} - A promise that resolves to the JSON object containing the status information
  *                          that album(s) have been removed from the library.
- * @throws {Error} Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} Will throw an error if the API responds with an error status.
  */
-export const removeUserSavedAlbums = async (accessToken, ids) => {
-    if (ids.length > 20) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (20) number of albums allowed.'
-        }
-    }
-
+export const removeUserSavedAlbums = async function(accessToken, ids, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Album ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Album ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('me/albums')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.DELETE)
-        .withQueryParameters({
-            ids: idString,
-        })
-        .build()
-        .fetch()
+    return inChunks.call(this, ids, 20, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/albums')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.DELETE)
+            .withQueryParameters({
+                ids: chunk.join(','),
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -225,39 +212,32 @@ export const removeUserSavedAlbums = async (accessToken, ids) => {
  * Check if one or more albums is already saved in the current Spotify user's 'Your Music' library.
  * @async
  * @param {string} accessToken - The access token for the authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the albums. Maximum: 20 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the albums. Sent 20 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<void>} - A promise that resolves to the JSON object containing the status information
  *                          that contains an array of booleans.
- * @throws {Error} Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} Will throw an error if the API responds with an error status.
  */
-export const checkUserSavedAlbums = async (accessToken, ids) => {
-    if (ids.length > 20) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (20) number of albums allowed.'
-        }
-    }
-
+export const checkUserSavedAlbums = async function(accessToken, ids, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Album ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Album ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('me/albums/contains')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: idString,
-        })
-        .build()
-        .fetch()
+    return inChunks.call(this, ids, 20, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/albums/contains')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(','),
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -271,12 +251,13 @@ export const checkUserSavedAlbums = async (accessToken, ids) => {
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first item to return. Default: 0 (the first item). Use with limit to
  *                          get the next set of items.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<void>} - A promise that resolves to the JSON object containing the status information
  *                          that contains a paged set of albums.
- * @throws {Error} Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} Will throw an error if the API responds with an error status.
  */
-export const getNewReleases = async (accessToken, country = '', limit= 20, offset= 0) => {
-    const response = await WebRequest.builder()
+export const getNewReleases = async function(accessToken, country = '', limit= 20, offset= 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('browse/new-releases')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -286,8 +267,9 @@ export const getNewReleases = async (accessToken, country = '', limit= 20, offse
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
@@ -1,7 +1,9 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType} from "./requests/Request.js";
+import { ContentType, Method, AuthorizationType, readJSON} from "./requests/Request.js";
+import { ValidationError } from './errors.js'
+import { inChunks } from './chunking.js'
 
 /**
  * Get Artist
@@ -9,19 +11,21 @@ import { ContentType, Method, AuthorizationType} from "./requests/Request.js";
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The Spotify ID of the artist
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the artist information.
- * @throws {Error} Will throw an error if there's an issue with the API request or response.
+ * @throws {SpotifyApiError} Will throw an error if there's an issue with the API request or response.
  */
-export const getArtist = async (accessToken, id) => {
-    const response = await WebRequest.builder()
+export const getArtist = async function(accessToken, id, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`artists/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -29,23 +33,31 @@ export const getArtist = async (accessToken, id) => {
  * Get Spotify catalog information for several artists based on their Spotify IDs.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the artists. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the artists. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the artists' information.
- * @throws {Error} Will throw an error if there's an issue with the API request or response
+ * @throws {SpotifyApiError} Will throw an error if there's an issue with the API request or response
  */
-export const getSeveralArtists = async (accessToken, ids) => {
-    const response = await WebRequest.builder()
-        .withPath('artists')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: ids.join(',')
-        })
-        .build()
-        .fetch()
+export const getSeveralArtists = async function(accessToken, ids, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Artist ID(s) cannot be empty.')
+    }
 
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('artists')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -75,25 +87,27 @@ export const IncludeGroups = {
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first item to return. Default: 0 (the first item). Use with limit
  *                          to get the next set of items.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the album information.
- * @throws {Error} - Will throw an error if there's an issue with the API request or response.
+ * @throws {SpotifyApiError} - Will throw an error if there's an issue with the API request or response.
  */
-export const getArtistAlbums = async (accessToken, id, includeGroups= null, market = '', limit = 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getArtistAlbums = async function(accessToken, id, includeGroups= null, market = '', limit = 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`artists/${id}/albums`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
         .withQueryParameters({
-            include_groups: includeGroups.join(','),
+            include_groups: includeGroups?.join(','),
             market,
             limit,
             offset,
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -106,22 +120,24 @@ export const getArtistAlbums = async (accessToken, id, includeGroups= null, mark
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the album information.
- * @throws {Error} - Will throw an error if there's an issue with the API request or response.
+ * @throws {SpotifyApiError} - Will throw an error if there's an issue with the API request or response.
  */
-export const getArtistTopTracks = async (accessToken, id, market) => {
-    const response = await WebRequest.builder()
-        .withPath(`artists/${id}/albums`)
+export const getArtistTopTracks = async function(accessToken, id, market, requestOptions) {
+    const response = await WebRequest.builder(this)
+        .withPath(`artists/${id}/top-tracks`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
         .withQueryParameters({
             market
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -131,17 +147,19 @@ export const getArtistTopTracks = async (accessToken, id, market) => {
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The Spotify ID of the artist.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the artists' information.
- * @throws {Error} - Will throw an error if there's an issue with the API request or response.
+ * @throws {SpotifyApiError} - Will throw an error if there's an issue with the API request or response.
  */
-export const getArtistRelatedArtists = async (accessToken, id) => {
-    const response = await WebRequest.builder()
+export const getArtistRelatedArtists = async function(accessToken, id, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`artists/${id}/related-artists`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
@@ -1,7 +1,9 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
+import { ValidationError } from './errors.js'
+import { inChunks } from './chunking.js'
 
 /**
  * Get an Audiobook
@@ -14,11 +16,12 @@ import { ContentType, Method, AuthorizationType } from './requests/Request.js'
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the audiobook information.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getAudiobook = async (accessToken, id, market) => {
-    const response = await WebRequest.builder()
+export const getAudiobook = async function(accessToken, id, market, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`audiobooks/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -26,10 +29,11 @@ export const getAudiobook = async (accessToken, id, market) => {
         .withQueryParameters({
             market
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -38,32 +42,39 @@ export const getAudiobook = async (accessToken, id, market) => {
  * only available within the US, UK, Canada, Ireland, New Zealand, and Australia markets.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs. Sent 50 IDs per request.
  * @param {string} market - An ISO 3166-1 alpha-2 country code. If a country code is specified, only content
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the information for a
  *                          set of audiobooks. If one of the requested audiobooks is unavailable then you'll
  *                          find a null item in the audiobooks array where the audiobook object would
  *                          otherwise be.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSeveralAudiobooks = async (accessToken, ids, market) => {
-
-    const response = await WebRequest.builder()
-        .withPath('audiobooks')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: idString,
-            market
-        })
-        .build()
-        .fetch()
+export const getSeveralAudiobooks = async function(accessToken, ids, market, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Audiobook ID(s) cannot be empty.')
+    }
 
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('audiobooks')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(','),
+                market
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -80,12 +91,13 @@ export const getSeveralAudiobooks = async (accessToken, ids, market) => {
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1, Maximum: 50.
  * @param {number} offset - The index of the first item to return. Default: 0 (the first item). Use with limit
  *                          to get the next set of items.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the information for the
  *                          pages of chapters
- * @throws {Error} - Will throw an error if there;s a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getAudiobookChapters = async (accessToken, id, market = '', limit = 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getAudiobookChapters = async function(accessToken, id, market = '', limit = 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`audiobooks/${id}/chapters`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -95,10 +107,11 @@ export const getAudiobookChapters = async (accessToken, id, market = '', limit =
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -109,12 +122,13 @@ export const getAudiobookChapters = async (accessToken, id, market = '', limit =
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first item to return. Default: 0 (the first item). Use with limit
  *                          to get the next set of items.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the information for the
  *                          pages of audiobooks
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getUserSavedAudiobooks = async (accessToken, limit= 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getUserSavedAudiobooks = async function(accessToken, limit= 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/audiobooks')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -123,8 +137,11 @@ export const getUserSavedAudiobooks = async (accessToken, limit= 20, offset = 0)
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
+
+    return readJSON(response)
 }
 
 /**
@@ -132,39 +149,32 @@ export const getUserSavedAudiobooks = async (accessToken, limit= 20, offset = 0)
  * Save one or more audiobooks to the current Spotify user's library.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A promise that resolves to the JSON object containing the status information
  *                          that the album is saved.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const saveAudiobooksForCurrentUser = async (accessToken, ids) => {
-    if (ids.length > 50) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (20) number of albums allowed.'
-        }
-    }
-
+export const saveAudiobooksForCurrentUser = async function(accessToken, ids, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Album ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Audiobook ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('me/audiobooks')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.PUT)
-        .withQueryParameters({
-            ids: idString
-        })
-        .build()
-        .fetch()
-
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/audiobooks')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.PUT)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -172,39 +182,32 @@ export const saveAudiobooksForCurrentUser = async (accessToken, ids) => {
  * Remove one or more audiobooks from the Spotify user's library.
  * @async
  * @param {string} accessToken - The access token for the authentication with the Spotify API,
- * @param {string[]} ids - A comma-separated list of the Spotify IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the status information
  *                          that the audiobooks have been removed from the library.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const removeUserSavedAudiobooks = async (accessToken, ids) => {
-    if (ids.length > 50) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (50) number of audiobooks allowed.'
-        }
-    }
-
+export const removeUserSavedAudiobooks = async function(accessToken, ids, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Audiobook ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Audiobook ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('me/audiobooks')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.DELETE)
-        .withQueryParameters({
-            ids: idString
-        })
-        .build()
-        .fetch()
-
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/audiobooks')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.DELETE)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -212,37 +215,30 @@ export const removeUserSavedAudiobooks = async (accessToken, ids) => {
  * Check if one or more audiobooks are already saved in the current Spotify user's library
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the status information
  *                          that contains an array of booleans.
- * @throws {Error} Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} Will throw an error if the API responds with an error status.
  */
-export const checkUserSavedAudiobooks = async (accessToken, ids) => {
-    if (ids.length > 50) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (50) number of audiobooks allowed.'
-        }
-    }
-
+export const checkUserSavedAudiobooks = async function(accessToken, ids, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Audiobook ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Audiobook ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('me/audiobooks/contains')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: idString
-        })
-        .build()
-        .fetch()
-
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/audiobooks/contains')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
@@ -1,5 +1,7 @@
 'use strict'
 
+import { createHash } from 'node:crypto'
+import { AccessDeniedError, AuthorizationError, StateMismatchError } from './errors.js'
 import * as AuthRequest from './requests/AuthRequest.js'
 import { ContentType, Method, AuthorizationType } from './requests/Request.js'
 
@@ -24,62 +26,235 @@ const generateAuthorisationToken = function(clientID, clientSecret) {
     return Buffer.from(`${clientID}:${clientSecret}`).toString('base64');
 }
 
+/**
+ * Generate a PKCE code verifier
+ * Keep it until the authorization code is exchanged, and never send it to the authorization page.
+ * @params {number} length - The length of the verifier, between 43 and 128 characters
+ * @returns {string} A random code verifier
+ */
+export const generateCodeVerifier = function(length = 64) {
+    return generateRandomString(length)
+}
+
+/**
+ * Generate the S256 PKCE code challenge of a code verifier
+ * @params {string} codeVerifier - The code verifier
+ * @returns {string} The base64url encoded SHA-256 hash of the verifier
+ */
+export const generateCodeChallenge = function(codeVerifier) {
+    return createHash('sha256').update(codeVerifier).digest('base64url')
+}
+
 /**
  * Get a Spotify login URI
+ * The state is not kept by the instance: use startLogin and handleCallback to have it verified.
+ * @params {Object} options - The login options
+ * @params {string} options.state - The state sent to the authorization page, a random one by default
+ * @params {string} options.codeVerifier - A PKCE code verifier, whose S256 challenge is sent with the login request.
+ *                                         Pass the same verifier to getPKCEAccessToken once the user is redirected.
  * @returns {string} A Spotify authorization URL
  */
-export const getLoginURI = function() {
-    const state = generateRandomString(16)
-    return AuthRequest.builder()
+export const getLoginURI = function({ state = generateRandomString(16), codeVerifier } = {}) {
+    const parameters = {
+        response_type: this.responseType,
+        client_id: this.clientID,
+        scope: (this.scopes ?? []).join(' '),
+        redirect_uri: this.redirectURI,
+        state: state
+    }
+    if (codeVerifier) {
+        parameters.code_challenge_method = 'S256'
+        parameters.code_challenge = generateCodeChallenge(codeVerifier)
+    }
+    return AuthRequest.builder(this)
         .withPath('authorize')
-        .withQueryParameters({
-            response_type: this.responseType,
-            client_id: this.clientID,
-            scope: this.scopes.join(' '),
-            redirect_uri: this.redirectURI,
-            state: state
-        })
+        .withQueryParameters(parameters)
         .build()
         .getAuthorizationURI()
 }
 
+/**
+ * Start a login
+ * The state sent to the authorization page, and the code verifier with PKCE, are saved in the state store of the
+ * instance until the user is redirected back to handleCallback.
+ * @params {Object} options - The login options
+ * @params {boolean} options.pkce - Use PKCE instead of the client secret, defaults to true without a client secret
+ * @returns {Promise<{url: string, state: string, codeVerifier: string | undefined}>} The authorization URL to send
+ *                                         the user to, and the state it carries
+ */
+export const startLogin = async function({ pkce = !this.clientSecret } = {}) {
+    const state = generateRandomString(16)
+    const codeVerifier = pkce ? generateCodeVerifier() : undefined
+    await this.stateStore.set(state, { codeVerifier })
+    return { url: this.getLoginURI({ state, codeVerifier }), state, codeVerifier }
+}
+
+/**
+ * Handle the redirect of the user back from the authorization page
+ * The state of the redirect is verified against the pending logins, then the authorization code is exchanged for
+ * tokens, which are recorded by the instance.
+ * @params {string | URL} url - The URL the user was redirected to, or its path and query
+ * @returns {Promise<Object>} The token response, with access_token, token_type, scope, expires_in and refresh_token
+ * @throws {StateMismatchError} Will throw an error if the state does not match a pending login
+ * @throws {AccessDeniedError} Will throw an error if the user declined to authorize the app
+ * @throws {AuthorizationError} Will throw an error if the redirect carries any other error, or no code
+ * @throws {SpotifyApiError} Will throw an error if the accounts service responds with an error status
+ */
+export const handleCallback = async function(url) {
+    const query = new URL(url, 'http://localhost').searchParams
+    const state = query.get('state')
+    const login = state ? await this.stateStore.take(state) : null
+    if (login == null) {
+        throw new StateMismatchError('The state of the redirect does not match a pending login.')
+    }
+
+    const error = query.get('error')
+    if (error === 'access_denied') {
+        throw new AccessDeniedError('The user declined to authorize the app.', { reason: error })
+    }
+    if (error) {
+        throw new AuthorizationError(`The authorization failed: ${error}.`, { reason: error })
+    }
+    const code = query.get('code')
+    if (!code) {
+        throw new AuthorizationError('The redirect carries no authorization code.')
+    }
+
+    if (login.codeVerifier) {
+        return this.getPKCEAccessToken(code, login.codeVerifier)
+    }
+    return this.getAccessToken(code)
+}
+
 /**
  * Get a Spotify access token
+ * The tokens are recorded by the instance, which refreshes the access token before it expires.
  * @params {string} code - The authorization code returned after authorization
- * @returns {string} A Spotify access token
+ * @params {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout
+ * @returns {Promise<Object>} The token response, with access_token, token_type, scope, expires_in and refresh_token
+ * @throws {SpotifyApiError} Will throw an error if the accounts service responds with an error status
  */
-export const getAccessToken = async function(code) {
+export const getAccessToken = async function(code, requestOptions) {
     const auth = generateAuthorisationToken(this.clientID, this.clientSecret)
-    const response = await AuthRequest.builder()
+    const response = await AuthRequest.builder(this)
         .withPath('api/token')
         .withAccessToken(`${AuthorizationType.Basic} ${auth}`)
         .withContentType(ContentType.ApplicationURLEncodedForm)
-        .withQueryParameters({
+        .withBodyParameters({
             code: code,
             grant_type: 'authorization_code',
             redirect_uri: this.redirectURI
         })
         .withMethod(Method.POST)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json();
+    const tokens = await response.json()
+    await this.tokens?.update(tokens)
+    return tokens
 }
 
-export const getRefreshToken = async function(refreshToken) {
-    const response = await AuthRequest.builder()
+/**
+ * Get a Spotify access token with the PKCE code verifier instead of the client secret
+ * The tokens are recorded by the instance, which refreshes the access token before it expires.
+ * @params {string} code - The authorization code returned after authorization
+ * @params {string} codeVerifier - The code verifier whose challenge was sent with the login request
+ * @params {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout
+ * @returns {Promise<Object>} The token response, with access_token, token_type, scope, expires_in and refresh_token
+ * @throws {SpotifyApiError} Will throw an error if the accounts service responds with an error status
+ */
+export const getPKCEAccessToken = async function(code, codeVerifier, requestOptions) {
+    const response = await AuthRequest.builder(this)
         .withPath('api/token')
         .withContentType(ContentType.ApplicationURLEncodedForm)
-        .withQueryParameters({
+        .withBodyParameters({
             client_id: this.clientID,
+            code: code,
+            code_verifier: codeVerifier,
             grant_type: 'authorization_code',
-            refresh_token: refreshToken
+            redirect_uri: this.redirectURI
+        })
+        .withMethod(Method.POST)
+        .withRequestOptions(requestOptions)
+        .build()
+        .fetch()
+
+    const tokens = await response.json()
+    await this.tokens?.update(tokens)
+    return tokens
+}
+
+/**
+ * Refresh a Spotify access token
+ * The client secret is sent when the instance has one, the client ID alone otherwise. The new tokens are recorded by
+ * the instance. Spotify may not return a new refresh token, in which case the
+ * previous one is kept.
+ * @params {string} refreshToken - The refresh token, defaults to the one recorded by the instance
+ * @params {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout
+ * @returns {Promise<Object>} The token response, with access_token, token_type, scope, expires_in and optionally
+ *                            refresh_token
+ * @throws {SpotifyApiError} Will throw an error if the accounts service responds with an error status
+ */
+export const getRefreshToken = async function(refreshToken = this.tokens?.refreshToken, requestOptions) {
+    const builder = AuthRequest.builder(this)
+        .withPath('api/token')
+        .withContentType(ContentType.ApplicationURLEncodedForm)
+        .withMethod(Method.POST)
+        .withRequestOptions(requestOptions)
+    if (this.clientSecret) {
+        const auth = generateAuthorisationToken(this.clientID, this.clientSecret)
+        builder
+            .withAccessToken(`${AuthorizationType.Basic} ${auth}`)
+            .withBodyParameters({ grant_type: 'refresh_token', refresh_token: refreshToken })
+    } else {
+        // Tokens issued with PKCE are refreshed with the client ID alone
+        builder.withBodyParameters({ grant_type: 'refresh_token', refresh_token: refreshToken, client_id: this.clientID })
+    }
+    const response = await builder.build().fetch()
+
+    const tokens = await response.json()
+    await this.tokens?.update({ refresh_token: refreshToken, ...tokens })
+    return tokens
+}
+
+/**
+ * Request an app token with the Client Credentials grant
+ * App tokens give access to the catalog endpoints, but not to the data of a user. The token is recorded by the
+ * instance.
+ * @params {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout
+ * @returns {Promise<Object>} The token response, with access_token, token_type and expires_in
+ * @throws {SpotifyApiError} Will throw an error if the accounts service responds with an error status
+ */
+export const requestClientCredentialsToken = async function(requestOptions) {
+    const auth = generateAuthorisationToken(this.clientID, this.clientSecret)
+    const response = await AuthRequest.builder(this)
+        .withPath('api/token')
+        .withAccessToken(`${AuthorizationType.Basic} ${auth}`)
+        .withContentType(ContentType.ApplicationURLEncodedForm)
+        .withBodyParameters({
+            grant_type: 'client_credentials'
         })
         .withMethod(Method.POST)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json();
+    const tokens = await response.json()
+    await this.appTokens?.update(tokens)
+    return tokens
+}
+
+/**
+ * Get an app token obtained with the Client Credentials grant
+ * The token is cached by the instance, and a new one is requested when it is about to expire.
+ * @params {RequestOptions} requestOptions - The options of the request of a new token, when one is needed. Concurrent
+ *                                           callers share that request, and its cancellation
+ * @returns {Promise<string>} A promise that resolves to the app access token
+ * @throws {SpotifyApiError} Will throw an error if the accounts service responds with an error status
+ */
+export const getClientCredentialsToken = async function(requestOptions) {
+    return this.appTokens.getAccessToken(requestOptions)
 }
 
 /**
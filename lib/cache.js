@@ -0,0 +1,259 @@
+'use strict'
+
+import { createHash, randomUUID } from 'node:crypto'
+import { mkdir, readFile, rename, rm, unlink, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+/**
+ * The default TTL rules: catalog data changes rarely, while the data of the user is only revalidated.
+ * @type {{pattern: string, ttlMS: number}[]}
+ */
+export const defaultCacheRules = [
+    { pattern: 'markets', ttlMS: 24 * 60 * 60 * 1000 },
+    { pattern: 'recommendations/available-genre-seeds', ttlMS: 24 * 60 * 60 * 1000 },
+    { pattern: 'albums/**', ttlMS: 60 * 60 * 1000 },
+    { pattern: 'artists/**', ttlMS: 60 * 60 * 1000 },
+    { pattern: 'tracks/**', ttlMS: 60 * 60 * 1000 },
+    { pattern: 'audiobooks/**', ttlMS: 60 * 60 * 1000 },
+    { pattern: 'chapters/**', ttlMS: 60 * 60 * 1000 },
+    { pattern: 'episodes/**', ttlMS: 60 * 60 * 1000 },
+    { pattern: 'shows/**', ttlMS: 60 * 60 * 1000 }
+]
+
+/**
+ * Compile a path pattern, where `*` matches one path segment and `**` any number of them, so that `albums/**` matches
+ * `albums` as well as `albums/abacab/tracks`
+ * @param {string | RegExp} pattern - The pattern, relative to the base URI, e.g. `artists/*` or `albums/**`.
+ * @returns {RegExp} The regular expression matching the paths.
+ */
+const compilePattern = function(pattern) {
+    if (pattern instanceof RegExp) {
+        return pattern
+    }
+    const source = pattern
+        .split(/(\/\*\*|\*\*|\*)/)
+        .map((part) => {
+            if (part === '/**') {
+                return '(/.*)?'
+            }
+            if (part === '**') {
+                return '.*'
+            }
+            if (part === '*') {
+                return '[^/]+'
+            }
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        })
+        .join('')
+    return new RegExp(`^${source}$`)
+}
+
+/**
+ * Keep cached responses in memory, evicting the least recently used ones
+ *
+ * A cache store keeps the cached responses by key. Any object with the same three methods can replace it, e.g. to
+ * share the cache through Redis; each method may return a promise:
+ * - `get(key)` returns the cached entry, or null if there is none.
+ * - `set(key, entry)` saves the entry.
+ * - `delete(key)` forgets the entry.
+ */
+export class MemoryCacheStore {
+    /**
+     * @param {Object} options - The store options.
+     * @param {number} options.maxEntries - The number of entries kept before the least recently used are evicted.
+     */
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries
+        this.entries = new Map()
+    }
+
+    get(key) {
+        const entry = this.entries.get(key)
+        if (entry == null) {
+            return null
+        }
+        // Maps iterate in insertion order: moving the entry to the end keeps the least recently used first.
+        this.entries.delete(key)
+        this.entries.set(key, entry)
+        return entry
+    }
+
+    set(key, entry) {
+        this.entries.delete(key)
+        this.entries.set(key, entry)
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value)
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key)
+    }
+
+    clear() {
+        this.entries.clear()
+    }
+}
+
+/**
+ * Keep cached responses in a directory, one JSON file per entry
+ *
+ * The files are named after a hash of their key. Writes are atomic: each file is written next to the previous one,
+ * then renamed over it.
+ */
+export class FileCacheStore {
+    /**
+     * @param {string} directory - The directory of the cache, created on the first write.
+     */
+    constructor(directory) {
+        this.directory = directory
+    }
+
+    getPath(key) {
+        return join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`)
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await readFile(this.getPath(key), 'utf8'))
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+                return null
+            }
+            throw error
+        }
+    }
+
+    async set(key, entry) {
+        const path = this.getPath(key)
+        // Unique to this write: concurrent writes of the same key must not rename each other's file.
+        const temporaryPath = `${path}.${randomUUID()}.tmp`
+        await mkdir(this.directory, { recursive: true })
+        await writeFile(temporaryPath, JSON.stringify(entry), { mode: 0o600 })
+        await rename(temporaryPath, path)
+    }
+
+    async delete(key) {
+        await unlink(this.getPath(key)).catch((error) => {
+            if (error.code !== 'ENOENT') {
+                throw error
+            }
+        })
+    }
+
+    async clear() {
+        await rm(this.directory, { recursive: true, force: true })
+    }
+}
+
+/**
+ * Cache the GET responses of an instance
+ *
+ * Pass the cache in the config, `Snodeify.withConfig({ ...config, cache: new ResponseCache() })`. Responses are keyed
+ * by their full URI and by access token, so different users never see each other's data. A response is served from
+ * the cache without any request for as long as the TTL of the first rule matching its path. Once expired, or when
+ * no rule matches, the response is revalidated with its ETag: a 304 Not Modified is served from the cache.
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} options - The cache options.
+     * @param {Object} options.store - The cache store, a MemoryCacheStore by default.
+     * @param {{pattern: (string|RegExp), ttlMS: number}[]} options.rules - The TTL rules, matched in order against the
+     *                          path of the request relative to the base URI, e.g. `albums/*` or `shows/**`.
+     * @param {number} options.defaultTTLMS - The TTL of the responses matching no rule.
+     */
+    constructor({ store = new MemoryCacheStore(), rules = defaultCacheRules, defaultTTLMS = 0 } = {}) {
+        this.store = store
+        this.rules = rules.map(({ pattern, ttlMS }) => ({ pattern: compilePattern(pattern), ttlMS }))
+        this.defaultTTLMS = defaultTTLMS
+    }
+
+    /**
+     * Get the TTL of the responses of a path
+     * @param {string} path - The path of the request, relative to the base URI.
+     * @returns {number} The TTL in milliseconds.
+     */
+    getTTL(path) {
+        return this.rules.find((rule) => rule.pattern.test(path))?.ttlMS ?? this.defaultTTLMS
+    }
+
+    /**
+     * Get the key of a response
+     * Responses are keyed by the access token they were requested with, not by user ID: an instance whose token is
+     * set to the token of another user never serves the responses of the previous one.
+     * @param {string} url - The full URI of the request.
+     * @param {string | null} authorization - The Authorization header of the request.
+     * @returns {string} The key, holding a hash of the access token rather than the token itself.
+     */
+    getKey(url, authorization) {
+        const token = authorization != null ? createHash('sha256').update(authorization).digest('hex') : ''
+        return `${token} ${url}`
+    }
+
+    /**
+     * Get a cached response
+     * @param {string} key - The key of the response.
+     * @returns {Promise<Object | null>} A promise that resolves to the entry, with status, headers, body, etag and
+     *                          expiresAt, or null if the response is not cached.
+     */
+    async get(key) {
+        return await this.store.get(key) ?? null
+    }
+
+    /**
+     * Cache a response, if it is fresh for some time or can be revalidated
+     * @param {string} key - The key of the response.
+     * @param {string} path - The path of the request, relative to the base URI.
+     * @param {Response} response - The successful response.
+     * @returns {Promise<void>} A promise that resolves once the response is cached.
+     */
+    async set(key, path, response) {
+        const ttlMS = this.getTTL(path)
+        const etag = response.headers.get('ETag')
+        if (ttlMS <= 0 && etag == null) {
+            return
+        }
+        const headers = {}
+        for (const name of ['Content-Type', 'ETag']) {
+            if (response.headers.has(name)) {
+                headers[name] = response.headers.get(name)
+            }
+        }
+        await this.store.set(key, {
+            status: response.status,
+            headers,
+            body: await response.clone().text(),
+            etag,
+            expiresAt: Date.now() + Math.max(ttlMS, 0)
+        })
+    }
+
+    /**
+     * Extend the lifetime of a cached response revalidated by a 304
+     * @param {string} key - The key of the response.
+     * @param {string} path - The path of the request, relative to the base URI.
+     * @param {Object} entry - The cached entry.
+     * @returns {Promise<void>} A promise that resolves once the entry is saved.
+     */
+    async revalidate(key, path, entry) {
+        await this.store.set(key, { ...entry, expiresAt: Date.now() + Math.max(this.getTTL(path), 0) })
+    }
+
+    /**
+     * Tell whether a cached response can be served without revalidation
+     * @param {Object} entry - The cached entry.
+     * @returns {boolean} True if the entry has not expired.
+     */
+    isFresh(entry) {
+        return Date.now() < entry.expiresAt
+    }
+
+    /**
+     * Create a response from a cached entry
+     * @param {Object} entry - The cached entry.
+     * @returns {Response} The response.
+     */
+    toResponse(entry) {
+        return new Response(entry.body, { status: entry.status, headers: entry.headers })
+    }
+}
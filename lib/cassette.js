@@ -0,0 +1,116 @@
+'use strict'
+
+import { randomUUID } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { UnmatchedRequestError } from './errors.js'
+import { redactBody, redactURL } from './redact.js'
+
+/**
+ * Cassette modes: record sends the requests and saves them with their responses, replay serves the saved responses
+ * without sending anything.
+ * @type {{Record: string, Replay: string}}
+ */
+export const CassetteMode = {
+    Record: 'record',
+    Replay: 'replay'
+}
+
+/**
+ * Record requests and their responses to a JSON file, and replay them
+ *
+ * Pass the cassette in the config, `Snodeify.withConfig({ ...config, cassette })`: every request sent by the
+ * instance then goes through it, after the interceptors and once per attempt. The Authorization header is never
+ * recorded, and the tokens, secrets and authorization codes of bodies and URLs are redacted.
+ *
+ * In replay mode, a request is matched on its method, URL and redacted body. Identical requests are served the
+ * recorded responses in order, and a request without a recording fails with an UnmatchedRequestError.
+ */
+export class Cassette {
+    /**
+     * @param {string} path - The path of the cassette file.
+     * @param {Object} options - The cassette options.
+     * @param {string} options.mode - Either CassetteMode.Record or CassetteMode.Replay.
+     */
+    constructor(path, { mode = CassetteMode.Replay } = {}) {
+        this.path = path
+        this.mode = mode
+        this.interactions = mode === CassetteMode.Record ? [] : null
+        this.played = new Set()
+        this.writing = Promise.resolve()
+    }
+
+    /**
+     * Send a request through the cassette
+     * @param {string} url - The URL of the request.
+     * @param {Object} options - The fetch options of the request.
+     * @param {function(string, Object): Promise<Response>} fetchImplementation - Sends the request when recording.
+     * @returns {Promise<Response>} A promise that resolves to the response, sent or replayed.
+     * @throws {UnmatchedRequestError} Will throw when replaying a request that has not been recorded.
+     */
+    async fetch(url, options, fetchImplementation) {
+        const request = {
+            method: options.method,
+            url: redactURL(url),
+            body: redactBody(options.body, new Headers(options.headers).get('content-type'))
+        }
+        if (this.mode === CassetteMode.Record) {
+            const response = await fetchImplementation(url, options)
+            await this.record(request, response.clone())
+            return response
+        }
+        return this.replay(request)
+    }
+
+    async record(request, response) {
+        const headers = Object.fromEntries(response.headers)
+        delete headers['set-cookie']
+        delete headers['cookie']
+        this.interactions.push({
+            request,
+            response: {
+                status: response.status,
+                headers,
+                body: redactBody(await response.text(), response.headers.get('content-type'))
+            }
+        })
+        await this.save()
+    }
+
+    async replay(request) {
+        if (this.interactions == null) {
+            this.interactions = JSON.parse(await readFile(this.path, 'utf8')).interactions
+        }
+        const index = this.interactions.findIndex((interaction, candidate) => {
+            return !this.played.has(candidate) &&
+                interaction.request.method === request.method &&
+                interaction.request.url === request.url &&
+                interaction.request.body === request.body
+        })
+        if (index === -1) {
+            throw new UnmatchedRequestError(
+                `The cassette ${this.path} has no recording of ${request.method} ${request.url}.`,
+                { method: request.method, path: request.url }
+            )
+        }
+        this.played.add(index)
+        const { status, headers, body } = this.interactions[index].response
+        return new Response(status === 204 || status === 304 ? null : body, { status, headers })
+    }
+
+    /**
+     * Write the recorded interactions to the cassette file, atomically
+     * @returns {Promise<void>} A promise that resolves once the file is written.
+     */
+    save() {
+        const write = this.writing.catch(() => {}).then(async () => {
+            // Unique to this write: another cassette of the same file must not rename it.
+            const temporaryPath = `${this.path}.${randomUUID()}.tmp`
+            await mkdir(dirname(this.path), { recursive: true })
+            await writeFile(temporaryPath, JSON.stringify({ interactions: this.interactions }, null, 2))
+            await rename(temporaryPath, this.path)
+        })
+        this.writing = write
+        return write
+    }
+}
@@ -1,7 +1,7 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from "./requests/Request.js";
+import { ContentType, Method, AuthorizationType, readJSON } from "./requests/Request.js";
 
 /**
  * Check User's Saved Audiobooks
@@ -20,12 +20,13 @@ import { ContentType, Method, AuthorizationType } from "./requests/Request.js";
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first item to return. Default: 0 (the first item). Use with limit
  *                          to get the next set of items.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a paged
  *                          set of categories.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSeveralBrowseCategories = async (accessToken, country, locale, limit = 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getSeveralBrowseCategories = async function(accessToken, country, locale, limit = 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('browse/categories')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -36,10 +37,11 @@ export const getSeveralBrowseCategories = async (accessToken, country, locale, l
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -55,11 +57,12 @@ export const getSeveralBrowseCategories = async (accessToken, country, locale, l
  *
  *                          Note: if locale is not supplied, or if the specified language is note available,
  *                          all strings will be returned in the Spotify default language (American English).
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the category information.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSingleBrowseCategory = async (accessToken, id, country, locale) => {
-    const response = await WebRequest.builder()
+export const getSingleBrowseCategory = async function(accessToken, id, country, locale, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`browse/categories/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -68,8 +71,9 @@ export const getSingleBrowseCategory = async (accessToken, id, country, locale)
             country,
             locale
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
\ No newline at end of file
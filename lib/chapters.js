@@ -1,7 +1,9 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
+import { ValidationError } from './errors.js'
+import { inChunks } from './chunking.js'
 
 /**
  * Get a Chapter
@@ -16,10 +18,11 @@ import { ContentType, Method, AuthorizationType } from './requests/Request.js'
  *                          associated with the user account will take priority over this parameter.
  * @return {Promise<Object>} - A Promise that resolves to the JSON object containing the information of the
  *                          chapter
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getChapter = async (accessToken, id, market) => {
-    const response = await WebRequest.builder()
+export const getChapter = async function(accessToken, id, market, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`chapters/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -27,10 +30,11 @@ export const getChapter = async (accessToken, id, market) => {
         .withQueryParameters({
             market
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -38,40 +42,35 @@ export const getChapter = async (accessToken, id, market) => {
  * Get Spotify catalog information for several audiobook chapters identified by their Spotify ID. Chapters are
  * only available within the US, UK, Canada, Ireland, New Zealand, and Australia markets.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs. Sent 50 IDs per request.
  * @param {string} market - An ISO 3166-1 alpha-2 country code. If a country code is specified, only content
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} A Promise that resolves to the JSON object containing the information of a set
  *                          of chapters.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSeveralChapters = async (accessToken, ids, market = '') => {
-    if (ids.length > 50) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (50) number of categories allowed.'
-        }
-    }
-
+export const getSeveralChapters = async function(accessToken, ids, market = '', requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Category ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Chapter ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('chapters')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: idString,
-            market
-        })
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('chapters')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(','),
+                market
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
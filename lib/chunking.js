@@ -0,0 +1,82 @@
+'use strict'
+
+/**
+ * The number of chunks sent at the same time when no concurrency is configured.
+ * @type {number}
+ */
+export const defaultChunkConcurrency = 4
+
+/**
+ * Split a list into chunks
+ * @param {Array} list - The list to split.
+ * @param {number} size - The maximum size of a chunk.
+ * @returns {Array[]} The chunks, in order.
+ */
+export const chunk = function(list, size) {
+    const chunks = []
+    for (let index = 0; index < list.length; index += size) {
+        chunks.push(list.slice(index, index + size))
+    }
+    return chunks
+}
+
+/**
+ * Merge the results of several chunks, in order. Arrays are concatenated, and so are the array properties of
+ * objects, e.g. the `albums` of several Get Several Albums responses.
+ * @param {Array} results - The result of each chunk.
+ * @returns {*} The merged result.
+ */
+const mergeResults = function(results) {
+    if (results.length === 1) {
+        return results[0]
+    }
+    if (results.every(Array.isArray)) {
+        return results.flat()
+    }
+    if (results.every((result) => result != null && typeof result === 'object')) {
+        return results.reduce((merged, result) => {
+            for (const [key, value] of Object.entries(result)) {
+                if (Array.isArray(merged[key]) && Array.isArray(value)) {
+                    merged[key] = [...merged[key], ...value]
+                } else if (merged[key] === undefined) {
+                    merged[key] = value
+                }
+            }
+            return merged
+        }, {})
+    }
+    return results[0]
+}
+
+/**
+ * Send a list of IDs in chunks no larger than the endpoint allows
+ *
+ * The chunks are sent with a bounded concurrency, set by the chunkConcurrency option of the client, and their
+ * results are merged back in the order of the IDs. The first error stops the remaining chunks from being sent.
+ * @param {string[]} ids - The IDs to send.
+ * @param {number} size - The maximum number of IDs the endpoint accepts in one request.
+ * @param {function(string[]): Promise<*>} sendChunk - Send one chunk of IDs.
+ * @returns {Promise<*>} A promise that resolves to the merged result of every chunk.
+ */
+export const inChunks = async function(ids, size, sendChunk) {
+    const chunks = chunk(ids, size)
+    const results = new Array(chunks.length)
+    const concurrency = Math.max(1, this?.chunkConcurrency ?? defaultChunkConcurrency)
+    let next = 0
+    let failed = false
+
+    const worker = async () => {
+        while (!failed && next < chunks.length) {
+            const index = next++
+            try {
+                results[index] = await sendChunk(chunks[index])
+            } catch (error) {
+                failed = true
+                throw error
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker))
+    return mergeResults(results)
+}
@@ -1,7 +1,9 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
+import { ValidationError } from './errors.js'
+import { inChunks } from './chunking.js'
 
 /**
  * Get Episode
@@ -13,11 +15,12 @@ import { ContentType, Method, AuthorizationType } from './requests/Request.js'
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the episode information.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getEpisode = async (accessToken, id, market= '') => {
-    const response = await WebRequest.builder()
+export const getEpisode = async function(accessToken, id, market= '', requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`episodes/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -25,10 +28,11 @@ export const getEpisode = async (accessToken, id, market= '') => {
         .withQueryParameters({
             market
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -36,44 +40,37 @@ export const getEpisode = async (accessToken, id, market= '') => {
  * Get Spotify catalog information for several episodes based on their Spotify IDs.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string} ids - A comma-separated list of the Spotify IDs for the episodes. Maximum: 50 IDs.
+ * @param {string} ids - A comma-separated list of the Spotify IDs for the episodes. Sent 50 IDs per request.
  * @param {string} market - An ISO 3166-1 alpha-2 country code. If a country code is specified, only content
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of episodes
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSeveralEpisodes = async (accessToken, ids, market = '') => {
-    if (ids.length > 50) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (50) number of episodes allowed.'
-        }
-    }
-
+export const getSeveralEpisodes = async function(accessToken, ids, market = '', requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Episode ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Episode ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('episodes')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: idString,
-            market
-        })
-        .build()
-        .fetch()
-
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('episodes')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(','),
+                market
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -89,12 +86,13 @@ export const getSeveralEpisodes = async (accessToken, ids, market = '') => {
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first iem to return. Default: 0 (the first item). Use with limit to
  *                          get tge next set of items.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a pages
  *                          of episodes.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getUserSavedEpisodes = async (accessToken, market= '', limit= 20, offset= 0) => {
-    const response = await WebRequest.builder()
+export const getUserSavedEpisodes = async function(accessToken, market= '', limit= 20, offset= 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/episodes')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -104,10 +102,11 @@ export const getUserSavedEpisodes = async (accessToken, market= '', limit= 20, o
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -116,40 +115,33 @@ export const getUserSavedEpisodes = async (accessToken, market= '', limit= 20, o
  * Note: This Spotify API endpoint is in beta and could change without warning.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string} ids - A comma-separated list of the Spotify IDs. Maximum: 50 IDs.
+ * @param {string} ids - A comma-separated list of the Spotify IDs. Sent 50 IDs per request.
  *
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the status information
  *                          that the episode is saved.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const saveEpisodesForCurrentUser = async (accessToken, ids) => {
-    if (ids.length > 50) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (50) number of episodes allowed.'
-        }
-    }
-
+export const saveEpisodesForCurrentUser = async function(accessToken, ids, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Episode ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Episode ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('me/episodes')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.PUT)
-        .withQueryParameters({
-            ids: idString
-        })
-        .build()
-        .fetch()
-
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/episodes')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.PUT)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -158,39 +150,32 @@ export const saveEpisodesForCurrentUser = async (accessToken, ids) => {
  * Note: This Spotify API endpoint is in beta and could change without warning.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the status information
  *                          that the episode is removed.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const removeUserSavedEpisodes = async (accessToken, ids) => {
-    if (ids.length > 50) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (50) number of albums allowed.'
-        }
-    }
-
+export const removeUserSavedEpisodes = async function(accessToken, ids, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Album ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Episode ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('me/episodes')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.DELETE)
-        .withQueryParameters({
-            ids: idString
-        })
-        .build()
-        .fetch()
-
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/episodes')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.DELETE)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -199,36 +184,29 @@ export const removeUserSavedEpisodes = async (accessToken, ids) => {
  * Note: This Spotify API endpoint is in beta and could change without warning.
  * @async
  * @param {string} accessToken - The access token for the authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the episodes. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the episodes. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of .
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const checkUserSavedEpisodes = async (accessToken, ids) => {
-    if (ids.length > 50) {
-        return {
-            status: '400',
-            message: 'You exceeded the maximum (50) number of episodes allowed.'
-        }
-    }
-
+export const checkUserSavedEpisodes = async function(accessToken, ids, requestOptions) {
     if (ids.length < 1) {
-        return {
-            status: '400',
-            message: 'Episode ID(s) cannot be empty.'
-        }
+        throw new ValidationError('Episode ID(s) cannot be empty.')
     }
 
-    const idString = ids.join(',')
-    const response = await WebRequest.builder()
-        .withPath('me/episodes/contain')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: idString
-        })
-        .build()
-        .fetch()
-
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/episodes/contains')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
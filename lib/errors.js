@@ -0,0 +1,205 @@
+'use strict'
+
+/**
+ * Spotify API Error
+ * Base class of every error thrown by a request made through Snodeify. It carries the HTTP status, the error
+ * reason returned by Spotify and enough of the request to tell which call failed.
+ */
+export class SpotifyApiError extends Error {
+    /**
+     * @param {string} message - A human readable description of the error.
+     * @param {Object} details - The details of the failed request.
+     * @param {number | null} details.status - The HTTP status code of the response.
+     * @param {string | null} details.reason - The error reason returned by Spotify, if any.
+     * @param {string | null} details.method - The HTTP method of the request.
+     * @param {string | null} details.path - The path of the request, relative to the base URI.
+     * @param {Object} details.headers - The response headers.
+     * @param {*} details.body - The parsed response body.
+     */
+    constructor(message, { status = null, reason = null, method = null, path = null, headers = {}, body = null } = {}) {
+        super(message)
+        this.name = this.constructor.name
+        this.status = status
+        this.reason = reason
+        this.method = method
+        this.path = path
+        this.headers = headers
+        this.body = body
+    }
+}
+
+/**
+ * Validation Error
+ * The request was rejected, either by Spotify (400) or before it was sent because its parameters are invalid.
+ */
+export class ValidationError extends SpotifyApiError {
+    constructor(message, details = {}) {
+        super(message, { status: 400, ...details })
+    }
+}
+
+/**
+ * Authentication Error
+ * The access token is missing, invalid or has expired (401).
+ */
+export class AuthenticationError extends SpotifyApiError {}
+
+/**
+ * Forbidden Error
+ * The access token does not grant access to the resource (403), e.g. a missing scope or a non-Premium account.
+ */
+export class ForbiddenError extends SpotifyApiError {}
+
+/**
+ * Insufficient Scope Error
+ * The access token was not granted the scopes the endpoint needs. It is thrown before the request is sent, and
+ * lists the missing scopes.
+ */
+export class InsufficientScopeError extends ForbiddenError {
+    /**
+     * @param {string} message - A human readable description of the error.
+     * @param {string[]} missingScopes - The scopes the endpoint needs that have not been granted.
+     * @param {Object} details - The details of the request.
+     */
+    constructor(message, missingScopes, details = {}) {
+        super(message, { status: 403, ...details })
+        this.missingScopes = missingScopes
+    }
+}
+
+/**
+ * Not Found Error
+ * The requested resource could not be found (404).
+ */
+export class NotFoundError extends SpotifyApiError {}
+
+/**
+ * Rate Limit Error
+ * The app has exceeded its rate limits (429). Spotify tells how long to wait through the Retry-After header.
+ */
+export class RateLimitError extends SpotifyApiError {
+    constructor(message, details = {}) {
+        super(message, details)
+        const retryAfter = Number.parseInt(this.headers['retry-after'], 10)
+        this.retryAfter = Number.isNaN(retryAfter) ? null : retryAfter
+    }
+}
+
+/**
+ * Server Error
+ * Spotify failed to process a valid request (5xx).
+ */
+export class ServerError extends SpotifyApiError {}
+
+/**
+ * Authorization Error
+ * The user came back from the authorization page without an authorization code, or the redirect does not match a
+ * login started by this app. The reason is the error returned by Spotify in the redirect, if any.
+ */
+export class AuthorizationError extends SpotifyApiError {}
+
+/**
+ * Access Denied Error
+ * The user declined to authorize the app (error=access_denied).
+ */
+export class AccessDeniedError extends AuthorizationError {}
+
+/**
+ * State Mismatch Error
+ * The state of the redirect does not match a pending login, either because it has expired or because the request
+ * was forged.
+ */
+export class StateMismatchError extends AuthorizationError {}
+
+/**
+ * Unmatched Request Error
+ * A cassette replaying recorded requests was asked for a request it has no recording of.
+ */
+export class UnmatchedRequestError extends SpotifyApiError {}
+
+/**
+ * Timeout Error
+ * The request did not complete within the timeout it was given, retries included. It is aborted.
+ */
+export class TimeoutError extends SpotifyApiError {
+    /**
+     * @param {string} message - A human readable description of the error.
+     * @param {number} timeoutMS - The timeout of the request, in milliseconds.
+     * @param {Object} details - The details of the request.
+     */
+    constructor(message, timeoutMS, details = {}) {
+        super(message, details)
+        this.timeoutMS = timeoutMS
+    }
+}
+
+/**
+ * Pick the error class matching an HTTP status code
+ * @param {number} status - The HTTP status code of the response.
+ * @returns {typeof SpotifyApiError} The error class to instantiate.
+ */
+const errorClassFor = function(status) {
+    switch (status) {
+        case 400:
+            return ValidationError
+        case 401:
+            return AuthenticationError
+        case 403:
+            return ForbiddenError
+        case 404:
+            return NotFoundError
+        case 429:
+            return RateLimitError
+        default:
+            return status >= 500 ? ServerError : SpotifyApiError
+    }
+}
+
+/**
+ * Read the message and reason out of an error payload. The Web API answers with
+ * `{ error: { status, message, reason } }` while the Accounts service answers with
+ * `{ error, error_description }`.
+ * @param {*} body - The parsed response body.
+ * @returns {{message: (string|null), reason: (string|null)}} The message and reason of the error.
+ */
+const parseErrorBody = function(body) {
+    if (body == null || typeof body !== 'object') {
+        return { message: typeof body === 'string' && body.length > 0 ? body : null, reason: null }
+    }
+    if (body.error != null && typeof body.error === 'object') {
+        return { message: body.error.message ?? null, reason: body.error.reason ?? null }
+    }
+    if (typeof body.error === 'string') {
+        return { message: body.error_description ?? body.error, reason: body.error }
+    }
+    return { message: null, reason: null }
+}
+
+/**
+ * Create the error matching a failed response
+ * @param {Response} response - The response returned by fetch.
+ * @param {Object} request - The request that failed.
+ * @param {string} request.method - The HTTP method of the request.
+ * @param {string} request.path - The path of the request, relative to the base URI.
+ * @returns {Promise<SpotifyApiError>} A promise that resolves to the error to throw.
+ */
+export const createErrorFromResponse = async function(response, { method = null, path = null } = {}) {
+    const text = await response.text()
+    let body = text
+    try {
+        body = JSON.parse(text)
+    } catch (_) {
+        // Not every error comes with a JSON payload, keep the raw text instead.
+    }
+
+    const { message, reason } = parseErrorBody(body)
+    const ErrorClass = errorClassFor(response.status)
+    return new ErrorClass(message ?? `${method} ${path} failed with status ${response.status}`, {
+        status: response.status,
+        reason,
+        method,
+        path,
+        headers: Object.fromEntries(response.headers.entries()),
+        body
+    })
+}
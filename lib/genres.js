@@ -1,24 +1,26 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
 
 /**
  * Get Available Genre Seeds
  * Retrieve a list of available genres seed parameter vales for recommendations.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getAvailableGenreSeeds = async (accessToken) => {
-    const response = await WebRequest.builder()
+export const getAvailableGenreSeeds = async function(accessToken, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('recommendations/available-genre-seeds')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
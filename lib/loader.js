@@ -0,0 +1,139 @@
+'use strict'
+
+/**
+ * The endpoints batching the lookups of each type: the Get Several endpoint, the property of its response listing
+ * the items, and how it is called with the IDs and the market. The endpoints split longer lists of IDs than they
+ * accept, e.g. 20 albums or 50 tracks per request, see inChunks.
+ * The arguments of each endpoint are followed by its request options.
+ * @type {Object<string, {method: string, key: string, args: function(string[], string): Array}>}
+ */
+export const batchedEndpoints = {
+    album: { method: 'getSeveralAlbums', key: 'albums', args: (ids, market) => [ids, market] },
+    artist: { method: 'getSeveralArtists', key: 'artists', args: (ids) => [ids] },
+    audiobook: { method: 'getSeveralAudiobooks', key: 'audiobooks', args: (ids, market) => [ids, market] },
+    chapter: { method: 'getSeveralChapters', key: 'chapters', args: (ids, market) => [ids, market] },
+    episode: { method: 'getSeveralEpisodes', key: 'episodes', args: (ids, market) => [ids, market] },
+    show: { method: 'getSeveralShows', key: 'shows', args: (ids, market) => [market, ids] },
+    track: { method: 'getSeveralTracks', key: 'tracks', args: (ids, market) => [ids, market] }
+}
+
+/**
+ * Batch single item lookups
+ *
+ * The lookups made within the same tick are collected by type and market, and sent together through the Get Several
+ * endpoint of their type, e.g. `loadTrack(id)` through getSeveralTracks. Each lookup resolves to its own item, or to
+ * null if Spotify does not know the ID. A loader also remembers the lookups it has made, so create one per unit of
+ * work, e.g. per GraphQL request, with `snodeify.createLoader()`.
+ */
+export class BatchLoader {
+    /**
+     * @param {Snodeify} client - The instance, or the session, sending the requests.
+     * @param {Object} options - The loader options.
+     * @param {boolean} options.cache - Whether lookups of an ID already loaded are answered without a request.
+     * @param {string} options.accessToken - The access token the lookups are sent with, when the instance does not
+     *                          bind it, see bindAccessToken in the config.
+     * @param {RequestOptions} options.requestOptions - The options of every batch request, e.g. the signal of the unit
+     *                          of work. A timeout applies to each batch on its own.
+     */
+    constructor(client, { cache = true, accessToken, requestOptions } = {}) {
+        this.client = client
+        this.accessToken = accessToken
+        this.requestOptions = requestOptions
+        this.cache = cache ? new Map() : null
+        this.batches = new Map()
+    }
+
+    /**
+     * Load an item
+     * @param {string} type - The type of the item, see batchedEndpoints.
+     * @param {string} id - The Spotify ID of the item.
+     * @param {string} market - An ISO-3166-1 alpha-2 country code, ignored for artists.
+     * @returns {Promise<Object | null>} A promise that resolves to the item, or null if it does not exist.
+     */
+    load(type, id, market) {
+        const endpoint = batchedEndpoints[type]
+        if (endpoint == null) {
+            throw new TypeError(`Items of type ${type} cannot be batched.`)
+        }
+        const batchKey = type === 'artist' ? type : `${type} ${market ?? ''}`
+        const cacheKey = `${batchKey} ${id}`
+        const cached = this.cache?.get(cacheKey)
+        if (cached != null) {
+            return cached
+        }
+
+        let batch = this.batches.get(batchKey)
+        if (batch == null) {
+            batch = { endpoint, market, lookups: [] }
+            this.batches.set(batchKey, batch)
+            // Like DataLoader, wait for the promises resolved in this tick to make their own lookups.
+            Promise.resolve().then(() => process.nextTick(() => this.dispatch(batchKey)))
+        }
+        const promise = new Promise((resolve, reject) => {
+            batch.lookups.push({ id, resolve, reject })
+        })
+        this.cache?.set(cacheKey, promise)
+        return promise
+    }
+
+    loadAlbum(id, market) {
+        return this.load('album', id, market)
+    }
+
+    loadArtist(id) {
+        return this.load('artist', id)
+    }
+
+    loadAudiobook(id, market) {
+        return this.load('audiobook', id, market)
+    }
+
+    loadChapter(id, market) {
+        return this.load('chapter', id, market)
+    }
+
+    loadEpisode(id, market) {
+        return this.load('episode', id, market)
+    }
+
+    loadShow(id, market) {
+        return this.load('show', id, market)
+    }
+
+    loadTrack(id, market) {
+        return this.load('track', id, market)
+    }
+
+    /**
+     * Forget the items loaded so far, so that they are requested again
+     */
+    clear() {
+        this.cache?.clear()
+    }
+
+    /**
+     * Send the lookups of a batch
+     * @param {string} batchKey - The key of the batch.
+     * @returns {Promise<void>} A promise that resolves once every lookup of the batch is settled.
+     */
+    async dispatch(batchKey) {
+        const { endpoint, market, lookups } = this.batches.get(batchKey)
+        this.batches.delete(batchKey)
+        const ids = [...new Set(lookups.map((lookup) => lookup.id))]
+        try {
+            const args = [...endpoint.args(ids, market), this.requestOptions]
+            const result = this.client.bindsAccessToken
+                ? await this.client[endpoint.method](...args)
+                : await this.client[endpoint.method](this.accessToken, ...args)
+            const items = new Map(ids.map((id, index) => [id, result?.[endpoint.key]?.[index] ?? null]))
+            for (const { id, resolve } of lookups) {
+                resolve(items.get(id))
+            }
+        } catch (error) {
+            for (const { id, reject } of lookups) {
+                this.cache?.delete(`${batchKey} ${id}`)
+                reject(error)
+            }
+        }
+    }
+}
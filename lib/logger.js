@@ -0,0 +1,43 @@
+'use strict'
+
+/**
+ * Log levels, from the most to the least verbose.
+ * @type {{Debug: string, Info: string, Warn: string, Error: string}}
+ */
+export const LogLevel = {
+    Debug: 'debug',
+    Info: 'info',
+    Warn: 'warn',
+    Error: 'error'
+}
+
+const severities = [LogLevel.Debug, LogLevel.Info, LogLevel.Warn, LogLevel.Error]
+
+/**
+ * Create a logger writing one JSON object per line
+ *
+ * Any object with debug, info, warn and error methods taking a message and its fields can be used as the logger of
+ * an instance, e.g. `console` or a pino logger. This one writes `{"time", "level", "message", ...fields}` lines.
+ * @param {Object} options - The logger options.
+ * @param {string} options.level - The least severe level written, see LogLevel.
+ * @param {function(string): void} options.write - Writes a line, to standard error by default.
+ * @returns {{debug: function, info: function, warn: function, error: function}} The logger.
+ */
+export const createJSONLogger = function({
+    level = LogLevel.Info,
+    write = (line) => process.stderr.write(`${line}\n`)
+} = {}) {
+    const threshold = severities.indexOf(level)
+    if (threshold === -1) {
+        throw new TypeError(`Unknown log level ${level}.`)
+    }
+    const logger = {}
+    for (const [severity, name] of severities.entries()) {
+        logger[name] = (message, fields = {}) => {
+            if (severity >= threshold) {
+                write(JSON.stringify({ time: new Date().toISOString(), level: name, message, ...fields }))
+            }
+        }
+    }
+    return logger
+}
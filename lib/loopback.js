@@ -0,0 +1,102 @@
+'use strict'
+
+import { createServer } from 'node:http'
+import { AuthorizationError, StateMismatchError } from './errors.js'
+
+/**
+ * How long to wait for the user to be redirected back when no timeout is configured, in milliseconds.
+ * @type {number}
+ */
+export const defaultLoopbackTimeoutMS = 5 * 60 * 1000
+
+const loopbackHosts = ['127.0.0.1', 'localhost', '[::1]']
+
+/**
+ * Render the page shown in the browser once the redirect is handled
+ * @param {string} title - The title of the page.
+ * @param {string} message - The message shown to the user.
+ * @returns {string} The HTML page.
+ */
+const renderPage = function(title, message) {
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head>` +
+        `<body style="font-family: sans-serif; text-align: center; margin-top: 4em">` +
+        `<h1>${title}</h1><p>${message}</p></body></html>`
+}
+
+/**
+ * Log in through a temporary server on the loopback redirect URI
+ *
+ * Meant for command-line and desktop tools: a server is started on the host and port of the redirect URI of the
+ * instance, e.g. `http://127.0.0.1:8888/callback`, and waits for the user to be redirected back. The state of the
+ * redirect is verified and the code exchanged for tokens, then the browser is shown a short page and the server shuts
+ * down. Redirects whose state does not match are refused without ending the login.
+ * @param {Object} options - The login options.
+ * @param {function(string): void} options.onLoginURI - Called with the authorization URL once the server is
+ *                                                      listening, e.g. to open it in a browser.
+ * @param {number} options.timeoutMS - How long to wait for the redirect before giving up.
+ * @param {boolean} options.pkce - Use PKCE instead of the client secret, defaults to true without a client secret.
+ * @returns {Promise<Object>} A promise that resolves to the token response.
+ * @throws {AuthorizationError} Will throw an error if the redirect URI is not a loopback URI, the login times out, or
+ *                              the user is redirected back with an error.
+ */
+export const loginWithLoopback = async function({ onLoginURI, timeoutMS = defaultLoopbackTimeoutMS, pkce } = {}) {
+    const redirectURI = new URL(this.redirectURI)
+    if (redirectURI.protocol !== 'http:' || !loopbackHosts.includes(redirectURI.hostname)) {
+        throw new AuthorizationError(`The redirect URI ${this.redirectURI} is not a loopback URI.`)
+    }
+
+    const server = createServer()
+    let timeout
+    let fail
+    const shutdown = () => {
+        clearTimeout(timeout)
+        server.close()
+        server.closeAllConnections()
+    }
+
+    const login = new Promise((resolve, reject) => {
+        fail = reject
+        server.on('request', async (request, response) => {
+            const url = new URL(request.url, redirectURI)
+            if (request.method !== 'GET' || url.pathname !== redirectURI.pathname) {
+                response.writeHead(404).end()
+                return
+            }
+            try {
+                const tokens = await this.handleCallback(url)
+                response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+                    .end(renderPage('Logged in', 'You can close this window and return to the app.'))
+                shutdown()
+                resolve(tokens)
+            } catch (error) {
+                response.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' })
+                    .end(renderPage('Login failed', 'The login could not be completed, please try again.'))
+                if (error instanceof StateMismatchError) {
+                    return
+                }
+                shutdown()
+                reject(error)
+            }
+        })
+    })
+    // The login can fail while the login URI is still being opened; it is awaited by the caller once that is done.
+    login.catch(() => {})
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(Number(redirectURI.port) || 80, redirectURI.hostname.replace(/^\[|\]$/g, ''), resolve)
+    })
+    // Started once the server listens, so that a server failing to listen leaves no login to time out.
+    timeout = setTimeout(() => {
+        shutdown()
+        fail(new AuthorizationError('The login timed out before the user was redirected back.', { reason: 'timeout' }))
+    }, timeoutMS)
+    try {
+        const { url } = await this.startLogin({ pkce })
+        await onLoginURI?.(url)
+    } catch (error) {
+        shutdown()
+        throw error
+    }
+    return login
+}
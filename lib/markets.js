@@ -1,25 +1,27 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
 
 /**
  * Get Available Markets
  * Get the list of markets where Spotify is available
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a
  *                              markets object with an array of country codes.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getAvailableMarkets = async (accessToken) => {
-    const response = await WebRequest.builder()
+export const getAvailableMarkets = async function(accessToken, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('markets')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
\ No newline at end of file
@@ -0,0 +1,154 @@
+'use strict'
+
+/**
+ * The default upper bounds of the latency histogram buckets, in seconds.
+ * @type {number[]}
+ */
+export const defaultLatencyBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+/**
+ * Escape a label value of the Prometheus text format
+ * @param {*} value - The label value.
+ * @returns {string} The escaped value.
+ */
+const escapeLabel = function(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+/**
+ * Format the labels of a sample
+ * @param {Object} labels - The labels, by name.
+ * @returns {string} The labels between braces, or an empty string if there are none.
+ */
+const formatLabels = function(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Collect the metrics of the API calls of Snodeify instances
+ *
+ * The collector listens to the events of the instances it is attached to, and summarizes the number of requests per
+ * endpoint and status, their latency, the retries, the rate limited attempts and the token refreshes in the
+ * Prometheus text exposition format, e.g. to be served on /metrics.
+ */
+export class MetricsCollector {
+    /**
+     * @param {Object} options - The collector options.
+     * @param {string} options.prefix - The prefix of the metric names.
+     * @param {number[]} options.buckets - The upper bounds of the latency histogram buckets, in seconds.
+     */
+    constructor({ prefix = 'snodeify', buckets = defaultLatencyBuckets } = {}) {
+        this.prefix = prefix
+        this.buckets = [...buckets].sort((a, b) => a - b)
+        this.reset()
+    }
+
+    /**
+     * Forget every sample collected so far
+     */
+    reset() {
+        this.requests = new Map()
+        this.latencies = new Map()
+        this.retries = new Map()
+        this.rateLimited = new Map()
+        this.tokenRefreshes = new Map()
+    }
+
+    /**
+     * Start collecting the metrics of an instance, and of its sessions
+     * @param {Snodeify} client - The instance.
+     * @returns {function(): void} A function that stops collecting the metrics of the instance.
+     */
+    attach(client) {
+        const listeners = {
+            'request:end': (event) => this.recordRequest(event),
+            'retry': (event) => increment(this.retries, { endpoint: getEndpoint(event) }),
+            'rateLimited': (event) => increment(this.rateLimited, { endpoint: getEndpoint(event) }),
+            'tokenRefreshed': (event) => increment(this.tokenRefreshes, { grant_type: event.grantType })
+        }
+        for (const [name, listener] of Object.entries(listeners)) {
+            client.on(name, listener)
+        }
+        return () => {
+            for (const [name, listener] of Object.entries(listeners)) {
+                client.off(name, listener)
+            }
+        }
+    }
+
+    /**
+     * Record a request that has ended
+     * @param {Object} event - The payload of the request:end event.
+     */
+    recordRequest(event) {
+        const endpoint = getEndpoint(event)
+        increment(this.requests, { endpoint, method: event.method, status: event.status ?? 'none' })
+        const key = formatLabels({ endpoint })
+        let histogram = this.latencies.get(key)
+        if (histogram == null) {
+            histogram = { labels: { endpoint }, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+            this.latencies.set(key, histogram)
+        }
+        const seconds = event.latencyMS / 1000
+        for (const [index, bound] of this.buckets.entries()) {
+            if (seconds <= bound) {
+                histogram.counts[index]++
+            }
+        }
+        histogram.sum += seconds
+        histogram.count++
+    }
+
+    /**
+     * Summarize the metrics in the Prometheus text exposition format
+     * @returns {string} The metrics.
+     */
+    toPrometheus() {
+        const lines = []
+        const counter = (name, help, samples) => {
+            lines.push(`# HELP ${this.prefix}_${name} ${help}`, `# TYPE ${this.prefix}_${name} counter`)
+            for (const { labels, value } of samples.values()) {
+                lines.push(`${this.prefix}_${name}${formatLabels(labels)} ${value}`)
+            }
+        }
+        counter('requests_total', 'Requests sent to the Spotify API, by endpoint and final status.', this.requests)
+
+        const histogram = `${this.prefix}_request_duration_seconds`
+        lines.push(`# HELP ${histogram} Duration of the requests, retries included.`, `# TYPE ${histogram} histogram`)
+        for (const { labels, counts, sum, count } of this.latencies.values()) {
+            for (const [index, bound] of this.buckets.entries()) {
+                lines.push(`${histogram}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`)
+            }
+            lines.push(`${histogram}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`)
+            lines.push(`${histogram}_sum${formatLabels(labels)} ${sum}`)
+            lines.push(`${histogram}_count${formatLabels(labels)} ${count}`)
+        }
+
+        counter('retries_total', 'Attempts sent again after a failure, by endpoint.', this.retries)
+        counter('rate_limited_total', 'Attempts rejected with a 429, by endpoint.', this.rateLimited)
+        counter('token_refreshes_total', 'Access tokens refreshed, by grant type.', this.tokenRefreshes)
+        return `${lines.join('\n')}\n`
+    }
+}
+
+/**
+ * Get the endpoint label of an event: the name of the endpoint, or the path of requests made outside of an endpoint
+ * @param {Object} event - The payload of the event.
+ * @returns {string} The endpoint label.
+ */
+const getEndpoint = function(event) {
+    return event.endpoint ?? event.path
+}
+
+/**
+ * Increment the counter of a set of labels
+ * @param {Map} samples - The samples of the counter, by formatted labels.
+ * @param {Object} labels - The labels.
+ */
+const increment = function(samples, labels) {
+    const key = formatLabels(labels)
+    const sample = samples.get(key) ?? { labels, value: 0 }
+    sample.value++
+    samples.set(key, sample)
+}
@@ -0,0 +1,214 @@
+'use strict'
+
+const addedAt = '2024-01-01T00:00:00Z'
+
+const image = (id) => [{ url: `https://i.scdn.co/image/${id}`, height: 640, width: 640 }]
+
+const artist = (id, name, genres, popularity) => ({
+    id,
+    name,
+    type: 'artist',
+    uri: `spotify:artist:${id}`,
+    genres,
+    popularity,
+    followers: { href: null, total: popularity * 1000 },
+    images: image(id)
+})
+
+const simplify = ({ id, name, type, uri }) => ({ id, name, type, uri })
+
+const album = (id, name, artists, releaseDate, albumType = 'album') => ({
+    id,
+    name,
+    type: 'album',
+    uri: `spotify:album:${id}`,
+    album_type: albumType,
+    release_date: releaseDate,
+    release_date_precision: 'day',
+    available_markets: ['PH', 'US', 'GB'],
+    artists: artists.map(simplify),
+    images: image(id),
+    label: 'Mock Records',
+    popularity: 50
+})
+
+const track = (id, name, parent, trackNumber, durationMS, popularity) => ({
+    id,
+    name,
+    type: 'track',
+    uri: `spotify:track:${id}`,
+    album: simplify(parent),
+    artists: parent.artists,
+    available_markets: parent.available_markets,
+    disc_number: 1,
+    track_number: trackNumber,
+    duration_ms: durationMS,
+    explicit: false,
+    is_local: false,
+    popularity
+})
+
+const show = (id, name, publisher) => ({
+    id,
+    name,
+    type: 'show',
+    uri: `spotify:show:${id}`,
+    publisher,
+    description: `${name}, a mock show.`,
+    media_type: 'audio',
+    available_markets: ['PH', 'US', 'GB'],
+    images: image(id)
+})
+
+const episode = (id, name, parent, releaseDate) => ({
+    id,
+    name,
+    type: 'episode',
+    uri: `spotify:episode:${id}`,
+    show: simplify(parent),
+    description: `${name}, a mock episode.`,
+    duration_ms: 1800000,
+    release_date: releaseDate,
+    release_date_precision: 'day',
+    images: parent.images
+})
+
+const audiobook = (id, name, author) => ({
+    id,
+    name,
+    type: 'audiobook',
+    uri: `spotify:audiobook:${id}`,
+    authors: [{ name: author }],
+    narrators: [{ name: author }],
+    publisher: 'Mock Books',
+    description: `${name}, a mock audiobook.`,
+    available_markets: ['PH', 'US', 'GB'],
+    images: image(id)
+})
+
+const chapter = (id, name, parent, chapterNumber) => ({
+    id,
+    name,
+    type: 'chapter',
+    uri: `spotify:chapter:${id}`,
+    audiobook: simplify(parent),
+    chapter_number: chapterNumber,
+    duration_ms: 1200000,
+    images: parent.images
+})
+
+/**
+ * Create the default data of the mock server
+ *
+ * Every call returns a new copy, which can be changed freely before it is passed to the server, e.g. to add tracks or
+ * empty the library. Relations follow the Spotify objects themselves: the tracks of an album are the tracks whose
+ * `album.id` matches, the episodes of a show those whose `show.id` matches, and so on.
+ * @returns {Object} The fixtures: user, artists, albums, tracks, shows, episodes, audiobooks, chapters, playlists,
+ *                   categories, markets, genres, library, following and player.
+ */
+export const createFixtures = function() {
+    const genesis = artist('genesis', 'Genesis', ['progressive rock', 'rock'], 70)
+    const yes = artist('yes', 'Yes', ['progressive rock'], 60)
+    const queen = artist('queen', 'Queen', ['rock', 'glam rock'], 90)
+
+    const abacab = album('abacab', 'Abacab', [genesis], '1981-09-18')
+    const duke = album('duke', 'Duke', [genesis], '1980-03-28')
+    const fragile = album('fragile', 'Fragile', [yes], '1971-11-26')
+    const opera = album('opera', 'A Night at the Opera', [queen], '1975-11-21')
+
+    const tracks = [
+        track('abacab1', 'Abacab', abacab, 1, 422000, 60),
+        track('abacab2', 'No Reply at All', abacab, 2, 278000, 55),
+        track('abacab3', 'Me and Sarah Jane', abacab, 3, 362000, 40),
+        track('duke1', 'Turn It On Again', duke, 1, 230000, 65),
+        track('duke2', 'Misunderstanding', duke, 2, 195000, 58),
+        track('fragile1', 'Roundabout', fragile, 1, 510000, 68),
+        track('fragile2', 'Long Distance Runaround', fragile, 2, 213000, 50),
+        track('opera1', 'Bohemian Rhapsody', opera, 1, 355000, 95),
+        track('opera2', 'Love of My Life', opera, 2, 219000, 80),
+        track('opera3', "You're My Best Friend", opera, 3, 172000, 75)
+    ]
+
+    const podcast = show('podcast', 'The Mock Podcast', 'Mock Media')
+    const episodes = [1, 2, 3].map((n) => episode(`episode${n}`, `Episode ${n}`, podcast, `2024-0${n}-01`))
+
+    const novel = audiobook('novel', 'The Mock Novel', 'Jane Doe')
+    const chapters = [1, 2, 3].map((n) => chapter(`chapter${n}`, `Chapter ${n}`, novel, n))
+
+    const user = {
+        id: 'mock-user',
+        display_name: 'Mock User',
+        type: 'user',
+        uri: 'spotify:user:mock-user',
+        country: 'PH',
+        product: 'premium',
+        email: 'mock-user@example.com'
+    }
+
+    return {
+        user,
+        artists: [genesis, yes, queen],
+        albums: [abacab, duke, fragile, opera],
+        tracks,
+        shows: [podcast],
+        episodes,
+        audiobooks: [novel],
+        chapters,
+        playlists: [
+            {
+                id: 'prog',
+                name: 'Prog Classics',
+                description: 'Mock progressive rock',
+                public: true,
+                collaborative: false,
+                owner: { id: user.id, display_name: user.display_name },
+                images: image('prog'),
+                items: ['spotify:track:abacab1', 'spotify:track:fragile1', 'spotify:track:duke1']
+            },
+            {
+                id: 'queen',
+                name: 'This Is Queen',
+                description: 'Mock Queen essentials',
+                public: true,
+                collaborative: false,
+                owner: { id: 'spotify', display_name: 'Spotify' },
+                images: image('queen'),
+                items: ['spotify:track:opera1', 'spotify:track:opera2', 'spotify:track:opera3']
+            }
+        ],
+        categories: [
+            { id: 'rock', name: 'Rock', icons: image('rock'), playlists: ['prog', 'queen'] },
+            { id: 'podcasts', name: 'Podcasts', icons: image('podcasts'), playlists: [] }
+        ],
+        featuredPlaylists: ['queen'],
+        markets: ['GB', 'PH', 'US'],
+        genres: ['glam-rock', 'progressive-rock', 'rock'],
+        library: {
+            albums: [{ id: 'abacab', added_at: addedAt }],
+            audiobooks: [],
+            episodes: [{ id: 'episode1', added_at: addedAt }],
+            shows: [{ id: 'podcast', added_at: addedAt }],
+            tracks: [{ id: 'opera1', added_at: addedAt }, { id: 'fragile1', added_at: addedAt }],
+            playlists: ['prog', 'queen']
+        },
+        following: ['genesis', 'yes'],
+        player: {
+            devices: [
+                { id: 'mock-device', name: 'Mock Device', type: 'Computer', is_active: true, volume_percent: 50 },
+                { id: 'mock-phone', name: 'Mock Phone', type: 'Smartphone', is_active: false, volume_percent: 80 }
+            ],
+            is_playing: false,
+            item: 'spotify:track:abacab1',
+            context: null,
+            progress_ms: 0,
+            shuffle_state: false,
+            repeat_state: 'off',
+            queue: ['spotify:track:abacab2'],
+            recentlyPlayed: [
+                { uri: 'spotify:track:duke1', played_at: '2024-01-01T10:00:00.000Z' },
+                { uri: 'spotify:track:duke2', played_at: '2024-01-01T10:05:00.000Z' },
+                { uri: 'spotify:track:opera1', played_at: '2024-01-01T10:10:00.000Z' }
+            ]
+        }
+    }
+}
@@ -0,0 +1,796 @@
+'use strict'
+
+import { randomBytes } from 'node:crypto'
+import { createServer } from 'node:http'
+import { Scopes } from '../scopes.js'
+import { createFixtures } from './fixtures.js'
+
+/**
+ * An error response of the mock server, in the format of the Web API.
+ */
+class MockError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.status = status
+    }
+}
+
+const ok = (body, status = 200) => ({ status, body })
+const noContent = () => ({ status: 204 })
+const empty = () => ({ status: 200 })
+
+const libraryTypes = {
+    albums: { key: 'album', collection: 'albums' },
+    audiobooks: { key: null, collection: 'audiobooks' },
+    episodes: { key: 'episode', collection: 'episodes' },
+    shows: { key: 'show', collection: 'shows' },
+    tracks: { key: 'track', collection: 'tracks' }
+}
+
+const severalLimits = {
+    albums: 20,
+    artists: 50,
+    audiobooks: 50,
+    chapters: 50,
+    episodes: 50,
+    shows: 50,
+    tracks: 50,
+    'audio-features': 100
+}
+
+const searchTypes = ['album', 'artist', 'playlist', 'track', 'show', 'episode', 'audiobook']
+
+const generateToken = (prefix) => `${prefix}-${randomBytes(12).toString('hex')}`
+
+/**
+ * Read the IDs of a request, from the ids query parameter or from the ids of the body
+ * @param {Object} request - The parsed request.
+ * @returns {string[]} The IDs.
+ */
+const readIDs = function({ query, body }) {
+    const ids = query.get('ids') ?? body?.ids ?? ''
+    return (Array.isArray(ids) ? ids : ids.split(',')).filter(Boolean)
+}
+
+/**
+ * Read the limit and offset of a paged request
+ * @param {URLSearchParams} query - The query of the request.
+ * @param {number} maxLimit - The largest page allowed.
+ * @returns {{limit: number, offset: number}} The limit and offset.
+ * @throws {MockError} Will throw a 400 if the limit or offset is out of range.
+ */
+const readPaging = function(query, maxLimit = 50) {
+    const limit = Number(query.get('limit') ?? 20)
+    const offset = Number(query.get('offset') ?? 0)
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        throw new MockError(400, 'Invalid limit')
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new MockError(400, 'Invalid offset')
+    }
+    return { limit, offset }
+}
+
+/**
+ * An in-process mock of the Spotify Web API and accounts service, for tests without network access
+ *
+ * The server answers the routes used by the endpoint modules from seedable fixtures, and keeps the changes made to
+ * the library, the playlists and the player. Access tokens must have been issued by its api/token route, see
+ * issueToken, or passed with the accessTokens option. Errors can be simulated with failNext and expireTokens.
+ *
+ * Point a client at it through the transport:
+ * `Snodeify.withConfig({ transport: { apiURI: server.apiURI, accountsURI: server.accountsURI } })`.
+ */
+export class MockSpotifyServer {
+    /**
+     * @param {Object} options - The server options.
+     * @param {Object} options.fixtures - Data replacing the default fixtures, by collection, see createFixtures.
+     * @param {string[]} options.accessTokens - Access tokens accepted from the start.
+     * @param {string} options.clientID - The client ID expected by api/token, any client ID if not set.
+     * @param {string} options.clientSecret - The client secret expected by api/token, any secret if not set.
+     * @param {string[]} options.scopes - The scopes granted to the tokens issued, every scope by default.
+     * @param {number} options.expiresIn - The lifetime of the tokens issued, in seconds.
+     */
+    constructor({
+        fixtures = {},
+        accessTokens = [],
+        clientID = null,
+        clientSecret = null,
+        scopes = Object.values(Scopes),
+        expiresIn = 3600
+    } = {}) {
+        this.state = { ...createFixtures(), ...structuredClone(fixtures) }
+        this.clientID = clientID
+        this.clientSecret = clientSecret
+        this.scopes = scopes
+        this.expiresIn = expiresIn
+        this.accessTokens = new Map(accessTokens.map((token) => [token, { scope: scopes.join(' ') }]))
+        this.refreshTokens = new Set()
+        this.failures = []
+        this.requests = []
+        this.snapshots = 0
+        this.server = createServer((request, response) => {
+            this.handle(request, response).catch((error) => {
+                response.writeHead(500, { 'Content-Type': 'application/json' })
+                response.end(JSON.stringify({ error: { status: 500, message: error.message } }))
+            })
+        })
+        this.routes = this.createRoutes()
+    }
+
+    /**
+     * Start listening on the loopback interface
+     * @param {number} port - The port, a free one by default.
+     * @returns {Promise<MockSpotifyServer>} A promise that resolves to the server once it is listening.
+     */
+    async start(port = 0) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject)
+            this.server.listen(port, '127.0.0.1', resolve)
+        })
+        this.uri = `http://127.0.0.1:${this.server.address().port}`
+        this.apiURI = `${this.uri}/v1/`
+        this.accountsURI = `${this.uri}/`
+        return this
+    }
+
+    /**
+     * Stop listening, closing the open connections
+     * @returns {Promise<void>} A promise that resolves once the server is closed.
+     */
+    stop() {
+        return new Promise((resolve) => {
+            this.server.close(() => resolve())
+            this.server.closeAllConnections()
+        })
+    }
+
+    /**
+     * Issue an access token without going through api/token
+     * @param {string[]} scopes - The scopes granted to the token, those of the server by default.
+     * @returns {string} The access token.
+     */
+    issueToken(scopes = this.scopes) {
+        const accessToken = generateToken('access')
+        this.accessTokens.set(accessToken, { scope: scopes.join(' ') })
+        return accessToken
+    }
+
+    /**
+     * Expire every access token issued so far: the next requests made with them are rejected with a 401
+     */
+    expireTokens() {
+        this.accessTokens.clear()
+    }
+
+    /**
+     * Make the next requests to the Web API fail
+     * @param {number} status - The status of the failure, e.g. 429 or 503.
+     * @param {Object} options - The failure options.
+     * @param {number} options.times - How many requests fail.
+     * @param {number} options.retryAfter - The Retry-After header of the failures, in seconds.
+     * @param {string} options.message - The error message.
+     */
+    failNext(status, { times = 1, retryAfter = null, message = 'Simulated failure' } = {}) {
+        for (let i = 0; i < times; i++) {
+            this.failures.push({ status, retryAfter, message })
+        }
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://127.0.0.1')
+        const text = await new Promise((resolve, reject) => {
+            const chunks = []
+            request.on('data', (chunk) => chunks.push(chunk))
+            request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+            request.on('error', reject)
+        })
+        const contentType = request.headers['content-type'] ?? ''
+        let body = null
+        if (text.length > 0) {
+            body = contentType.startsWith('application/x-www-form-urlencoded')
+                ? Object.fromEntries(new URLSearchParams(text))
+                : JSON.parse(text)
+        }
+        const parsed = {
+            method: request.method,
+            path: url.pathname,
+            query: url.searchParams,
+            headers: request.headers,
+            body
+        }
+        this.requests.push({ method: parsed.method, path: parsed.path, query: Object.fromEntries(url.searchParams), body })
+
+        if (url.pathname.startsWith('/v1/')) {
+            return this.handleAPI(parsed, response)
+        }
+        if (url.pathname === '/api/token' && request.method === 'POST') {
+            return this.handleToken(parsed, response)
+        }
+        if (url.pathname === '/authorize' && request.method === 'GET') {
+            return this.handleAuthorize(parsed, response)
+        }
+        this.send(response, { status: 404, body: { error: { status: 404, message: 'Service not found' } } })
+    }
+
+    send(response, { status, body, headers = {} }) {
+        if (body === undefined) {
+            response.writeHead(status, headers)
+            response.end()
+            return
+        }
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers })
+        response.end(JSON.stringify(body))
+    }
+
+    sendError(response, status, message, headers = {}) {
+        this.send(response, { status, body: { error: { status, message } }, headers })
+    }
+
+    handleAPI(request, response) {
+        const failure = this.failures.shift()
+        if (failure != null) {
+            const headers = failure.retryAfter != null ? { 'Retry-After': String(failure.retryAfter) } : {}
+            return this.sendError(response, failure.status, failure.message, headers)
+        }
+
+        const authorization = request.headers['authorization'] ?? ''
+        if (!authorization.startsWith('Bearer ')) {
+            return this.sendError(response, 401, 'No token provided')
+        }
+        if (!this.accessTokens.has(authorization.slice('Bearer '.length))) {
+            return this.sendError(response, 401, 'The access token expired')
+        }
+
+        const path = request.path.slice('/v1/'.length)
+        for (const route of this.routes) {
+            const match = route.pattern.exec(path)
+            if (route.method === request.method && match != null) {
+                try {
+                    return this.send(response, route.handle({ ...request, params: match.groups ?? {} }))
+                } catch (error) {
+                    if (error instanceof MockError) {
+                        return this.sendError(response, error.status, error.message)
+                    }
+                    throw error
+                }
+            }
+        }
+        this.sendError(response, 404, 'Service not found')
+    }
+
+    handleToken({ headers, body }, response) {
+        const sendError = (status, error, description) => {
+            this.send(response, { status, body: { error, error_description: description } })
+        }
+
+        const [scheme, credentials] = (headers['authorization'] ?? '').split(' ')
+        let clientID = body?.client_id
+        if (scheme === 'Basic') {
+            const [id, secret] = Buffer.from(credentials, 'base64').toString('utf8').split(':')
+            if (this.clientSecret != null && secret !== this.clientSecret) {
+                return sendError(400, 'invalid_client', 'Invalid client secret')
+            }
+            clientID = id
+        }
+        if (clientID == null || (this.clientID != null && clientID !== this.clientID)) {
+            return sendError(400, 'invalid_client', 'Invalid client')
+        }
+
+        const scope = this.scopes.join(' ')
+        switch (body?.grant_type) {
+        case 'authorization_code': {
+            if (!body.code) {
+                return sendError(400, 'invalid_grant', 'Invalid authorization code')
+            }
+            if (scheme !== 'Basic' && !body.code_verifier) {
+                return sendError(400, 'invalid_request', 'code_verifier required')
+            }
+            return this.send(response, { status: 200, body: this.issueTokens(scope, true) })
+        }
+        case 'refresh_token': {
+            if (!this.refreshTokens.has(body.refresh_token)) {
+                return sendError(400, 'invalid_grant', 'Invalid refresh token')
+            }
+            return this.send(response, { status: 200, body: this.issueTokens(scope, false) })
+        }
+        case 'client_credentials': {
+            if (scheme !== 'Basic') {
+                return sendError(400, 'invalid_client', 'Invalid client')
+            }
+            const tokens = this.issueTokens('', false)
+            delete tokens.scope
+            return this.send(response, { status: 200, body: tokens })
+        }
+        default:
+            return sendError(400, 'unsupported_grant_type', `grant_type parameter is missing or invalid`)
+        }
+    }
+
+    issueTokens(scope, withRefreshToken) {
+        const accessToken = generateToken('access')
+        this.accessTokens.set(accessToken, { scope })
+        const tokens = { access_token: accessToken, token_type: 'Bearer', expires_in: this.expiresIn, scope }
+        if (withRefreshToken) {
+            tokens.refresh_token = generateToken('refresh')
+            this.refreshTokens.add(tokens.refresh_token)
+        }
+        return tokens
+    }
+
+    /**
+     * Accept every login right away, redirecting back with an authorization code
+     */
+    handleAuthorize({ query }, response) {
+        const redirect = new URL(query.get('redirect_uri'))
+        redirect.searchParams.set('code', generateToken('code'))
+        if (query.has('state')) {
+            redirect.searchParams.set('state', query.get('state'))
+        }
+        response.writeHead(302, { Location: redirect.toString() })
+        response.end()
+    }
+
+    /*
+     * Lookups
+     */
+
+    find(collection, id) {
+        const item = this.state[collection].find((candidate) => candidate.id === id)
+        if (item == null) {
+            throw new MockError(404, 'Non existing id')
+        }
+        return item
+    }
+
+    resolveURI(uri) {
+        const [, type, id] = uri.split(':')
+        return this.state[`${type}s`]?.find((item) => item.id === id) ?? null
+    }
+
+    several(collection, request, limit = severalLimits[collection]) {
+        const ids = readIDs(request)
+        if (ids.length > limit) {
+            throw new MockError(400, 'Too many ids requested')
+        }
+        return ids.map((id) => this.state[collection].find((item) => item.id === id) ?? null)
+    }
+
+    page(items, request, maxLimit = 50) {
+        const { limit, offset } = readPaging(request.query, maxLimit)
+        const href = (pageOffset) => {
+            const url = new URL(`${this.apiURI}${request.path.slice('/v1/'.length)}`)
+            for (const [key, value] of request.query) {
+                url.searchParams.set(key, value)
+            }
+            url.searchParams.set('offset', pageOffset)
+            url.searchParams.set('limit', limit)
+            return url.toString()
+        }
+        return {
+            href: href(offset),
+            items: items.slice(offset, offset + limit),
+            limit,
+            offset,
+            total: items.length,
+            next: offset + limit < items.length ? href(offset + limit) : null,
+            previous: offset > 0 ? href(Math.max(0, offset - limit)) : null
+        }
+    }
+
+    playlist(playlist, request) {
+        const { items, ...rest } = playlist
+        return {
+            ...rest,
+            type: 'playlist',
+            uri: `spotify:playlist:${playlist.id}`,
+            snapshot_id: playlist.snapshot_id ?? 'snapshot-0',
+            tracks: this.playlistItems(playlist, request, 100)
+        }
+    }
+
+    playlistItems(playlist, request, maxLimit = 50) {
+        const items = playlist.items.map((uri) => ({ added_at: '2024-01-01T00:00:00Z', track: this.resolveURI(uri) }))
+        return this.page(items, request, maxLimit)
+    }
+
+    changePlaylist(playlist, change) {
+        change(playlist.items)
+        playlist.snapshot_id = `snapshot-${++this.snapshots}`
+        return { snapshot_id: playlist.snapshot_id }
+    }
+
+    /*
+     * Player
+     */
+
+    activeDevice(deviceID) {
+        const devices = this.state.player.devices
+        const device = deviceID ? devices.find((candidate) => candidate.id === deviceID) : devices.find((candidate) => candidate.is_active)
+        if (device == null) {
+            throw new MockError(404, 'Player command failed: No active device found')
+        }
+        return device
+    }
+
+    command(request, change) {
+        if (this.state.user.product !== 'premium') {
+            throw new MockError(403, 'Player command failed: Premium required')
+        }
+        change(this.state.player, this.activeDevice(request.query.get('device_id')))
+        return noContent()
+    }
+
+    playback() {
+        const player = this.state.player
+        return {
+            device: this.activeDevice(),
+            repeat_state: player.repeat_state,
+            shuffle_state: player.shuffle_state,
+            context: player.context,
+            timestamp: Date.now(),
+            progress_ms: player.progress_ms,
+            is_playing: player.is_playing,
+            item: player.item ? this.resolveURI(player.item) : null,
+            currently_playing_type: player.item?.split(':')[1] ?? 'unknown'
+        }
+    }
+
+    playNext() {
+        const player = this.state.player
+        if (player.item) {
+            player.recentlyPlayed.push({ uri: player.item, played_at: new Date().toISOString() })
+        }
+        player.item = player.queue.shift() ?? null
+        player.progress_ms = 0
+    }
+
+    /*
+     * Routes
+     */
+
+    createRoutes() {
+        const routes = []
+        const route = (method, path, handle) => {
+            const pattern = new RegExp(`^${path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`)
+            routes.push({ method, pattern, handle })
+        }
+        const state = this.state
+
+        // Catalog
+        for (const collection of ['albums', 'artists', 'audiobooks', 'chapters', 'episodes', 'shows', 'tracks']) {
+            route('GET', `${collection}/:id`, ({ params }) => ok(this.find(collection, params.id)))
+            route('GET', collection, (request) => ok({ [collection]: this.several(collection, request) }))
+        }
+        route('GET', 'albums/:id/tracks', (request) => {
+            this.find('albums', request.params.id)
+            return ok(this.page(state.tracks.filter((track) => track.album.id === request.params.id), request))
+        })
+        route('GET', 'artists/:id/albums', (request) => {
+            this.find('artists', request.params.id)
+            const albums = state.albums.filter((album) => album.artists.some((artist) => artist.id === request.params.id))
+            return ok(this.page(albums, request))
+        })
+        route('GET', 'artists/:id/top-tracks', ({ params }) => {
+            this.find('artists', params.id)
+            const tracks = state.tracks
+                .filter((track) => track.artists.some((artist) => artist.id === params.id))
+                .sort((a, b) => b.popularity - a.popularity)
+            return ok({ tracks: tracks.slice(0, 10) })
+        })
+        route('GET', 'artists/:id/related-artists', ({ params }) => {
+            const artist = this.find('artists', params.id)
+            const related = state.artists.filter((candidate) => {
+                return candidate.id !== artist.id && candidate.genres.some((genre) => artist.genres.includes(genre))
+            })
+            return ok({ artists: related })
+        })
+        route('GET', 'audiobooks/:id/chapters', (request) => {
+            this.find('audiobooks', request.params.id)
+            return ok(this.page(state.chapters.filter((chapter) => chapter.audiobook.id === request.params.id), request))
+        })
+        route('GET', 'shows/:id/episodes', (request) => {
+            this.find('shows', request.params.id)
+            return ok(this.page(state.episodes.filter((episode) => episode.show.id === request.params.id), request))
+        })
+        route('GET', 'browse/new-releases', (request) => {
+            const albums = [...state.albums].sort((a, b) => b.release_date.localeCompare(a.release_date))
+            return ok({ albums: this.page(albums, request) })
+        })
+        route('GET', 'browse/categories', (request) => {
+            const categories = state.categories.map(({ playlists, ...category }) => category)
+            return ok({ categories: this.page(categories, request) })
+        })
+        route('GET', 'browse/categories/:id', ({ params }) => {
+            const { playlists, ...category } = this.find('categories', params.id)
+            return ok(category)
+        })
+        route('GET', 'browse/categories/:id/playlists', (request) => {
+            const category = this.find('categories', request.params.id)
+            const playlists = category.playlists.map((id) => this.playlist(this.find('playlists', id), request))
+            return ok({ playlists: this.page(playlists, request) })
+        })
+        route('GET', 'browse/featured-playlists', (request) => {
+            const playlists = state.featuredPlaylists.map((id) => this.playlist(this.find('playlists', id), request))
+            return ok({ message: 'Mock featured playlists', playlists: this.page(playlists, request) })
+        })
+        route('GET', 'markets', () => ok({ markets: state.markets }))
+        route('GET', 'recommendations/available-genre-seeds', () => ok({ genres: state.genres }))
+        route('GET', 'audio-features/:id', ({ params }) => {
+            this.find('tracks', params.id)
+            return ok({ id: params.id, type: 'audio_features', danceability: 0.5, energy: 0.5, tempo: 120 })
+        })
+        route('GET', 'audio-features', (request) => {
+            const tracks = this.several('tracks', request, severalLimits['audio-features'])
+            return ok({
+                audio_features: tracks.map((track) => {
+                    return track && { id: track.id, type: 'audio_features', danceability: 0.5, energy: 0.5, tempo: 120 }
+                })
+            })
+        })
+        route('GET', 'audio-analysis/:id', ({ params }) => {
+            const track = this.find('tracks', params.id)
+            return ok({ track: { duration: track.duration_ms / 1000, tempo: 120 }, bars: [], beats: [], sections: [] })
+        })
+        route('GET', 'recommendations', (request) => {
+            const limit = Number(request.query.get('limit') ?? 20)
+            return ok({ seeds: [], tracks: state.tracks.slice(0, limit) })
+        })
+        route('GET', 'search', (request) => {
+            const query = (request.query.get('q') ?? '').toLowerCase()
+            const types = (request.query.get('type') ?? '').split(',').filter(Boolean)
+            if (query.length === 0 || types.length === 0 || types.some((type) => !searchTypes.includes(type))) {
+                throw new MockError(400, 'Bad search query')
+            }
+            const results = {}
+            for (const type of types) {
+                const items = state[`${type}s`].filter((item) => item.name.toLowerCase().includes(query))
+                results[`${type}s`] = this.page(type === 'playlist' ? items.map((item) => this.playlist(item, request)) : items, request)
+            }
+            return ok(results)
+        })
+
+        // Library
+        for (const [type, { key, collection }] of Object.entries(libraryTypes)) {
+            route('GET', `me/${type}`, (request) => {
+                const saved = state.library[type].map(({ id, added_at }) => {
+                    const item = this.find(collection, id)
+                    return key == null ? item : { added_at, [key]: item }
+                })
+                return ok(this.page(saved, request))
+            })
+            route('GET', `me/${type}/contains`, (request) => {
+                const ids = readIDs(request)
+                return ok(ids.map((id) => state.library[type].some((saved) => saved.id === id)))
+            })
+            route('PUT', `me/${type}`, (request) => {
+                for (const id of readIDs(request)) {
+                    this.find(collection, id)
+                    if (!state.library[type].some((saved) => saved.id === id)) {
+                        state.library[type].unshift({ id, added_at: new Date().toISOString() })
+                    }
+                }
+                return empty()
+            })
+            route('DELETE', `me/${type}`, (request) => {
+                const ids = readIDs(request)
+                state.library[type] = state.library[type].filter((saved) => !ids.includes(saved.id))
+                return empty()
+            })
+        }
+        route('GET', 'me/following', (request) => {
+            if (request.query.get('type') !== 'artist') {
+                throw new MockError(400, 'Only artist type is supported')
+            }
+            const limit = Number(request.query.get('limit') ?? 20)
+            const after = request.query.get('after')
+            const artists = state.following.map((id) => this.find('artists', id))
+            const start = after ? artists.findIndex((artist) => artist.id === after) + 1 : 0
+            const items = artists.slice(start, start + limit)
+            const hasMore = start + limit < artists.length
+            return ok({
+                artists: {
+                    href: `${this.apiURI}me/following?type=artist`,
+                    items,
+                    limit,
+                    total: artists.length,
+                    cursors: { after: hasMore ? items[items.length - 1].id : null },
+                    next: hasMore ? `${this.apiURI}me/following?type=artist&after=${items[items.length - 1].id}&limit=${limit}` : null
+                }
+            })
+        })
+
+        // Playlists
+        route('GET', 'playlists/:id', (request) => ok(this.playlist(this.find('playlists', request.params.id), request)))
+        route('PUT', 'playlists/:id', ({ params, body }) => {
+            const playlist = this.find('playlists', params.id)
+            for (const field of ['name', 'public', 'collaborative', 'description']) {
+                if (body?.[field] != null) {
+                    playlist[field] = body[field]
+                }
+            }
+            return empty()
+        })
+        route('GET', 'playlists/:id/tracks', (request) => {
+            return ok(this.playlistItems(this.find('playlists', request.params.id), request))
+        })
+        route('POST', 'playlists/:id/tracks', ({ params, query, body }) => {
+            const playlist = this.find('playlists', params.id)
+            const uris = body?.uris ?? query.get('uris')?.split(',') ?? []
+            if (uris.length === 0 || uris.length > 100) {
+                throw new MockError(400, 'Invalid number of uris')
+            }
+            const position = body?.position ?? query.get('position')
+            return ok(this.changePlaylist(playlist, (items) => {
+                items.splice(position == null ? items.length : Number(position), 0, ...uris)
+            }), 201)
+        })
+        route('PUT', 'playlists/:id/tracks', ({ params, query, body }) => {
+            const playlist = this.find('playlists', params.id)
+            const uris = body?.uris ?? query.get('uris')?.split(',')
+            if (uris != null) {
+                return ok(this.changePlaylist(playlist, (items) => items.splice(0, items.length, ...uris)))
+            }
+            const { range_start: start, insert_before: before, range_length: length = 1 } = body ?? {}
+            if (start == null || before == null) {
+                throw new MockError(400, 'Missing range_start or insert_before')
+            }
+            return ok(this.changePlaylist(playlist, (items) => {
+                const moved = items.splice(start, length)
+                items.splice(before > start ? before - moved.length : before, 0, ...moved)
+            }))
+        })
+        route('DELETE', 'playlists/:id/tracks', ({ params, body }) => {
+            const playlist = this.find('playlists', params.id)
+            const uris = (body?.tracks ?? []).map((track) => track.uri)
+            return ok(this.changePlaylist(playlist, (items) => {
+                const kept = items.filter((uri) => !uris.includes(uri))
+                items.splice(0, items.length, ...kept)
+            }))
+        })
+        route('GET', 'me/playlists', (request) => {
+            const playlists = state.library.playlists.map((id) => this.playlist(this.find('playlists', id), request))
+            return ok(this.page(playlists, request))
+        })
+        route('GET', 'users/:id/playlists', (request) => {
+            const playlists = state.playlists
+                .filter((playlist) => playlist.owner.id === request.params.id)
+                .map((playlist) => this.playlist(playlist, request))
+            return ok(this.page(playlists, request))
+        })
+        route('POST', 'users/:id/playlists', (request) => {
+            const { params, body } = request
+            if (params.id !== state.user.id) {
+                throw new MockError(403, 'You cannot create a playlist for another user')
+            }
+            if (!body?.name) {
+                throw new MockError(400, 'Missing required field: name')
+            }
+            const playlist = {
+                id: generateToken('playlist'),
+                name: body.name,
+                description: body.description ?? null,
+                public: body.public ?? true,
+                collaborative: body.collaborative ?? false,
+                owner: { id: state.user.id, display_name: state.user.display_name },
+                images: [],
+                items: []
+            }
+            state.playlists.push(playlist)
+            state.library.playlists.unshift(playlist.id)
+            return ok(this.playlist(playlist, request), 201)
+        })
+        route('GET', 'playlists/:id/images', ({ params }) => ok(this.find('playlists', params.id).images))
+        route('PUT', 'playlists/:id/images', ({ params, body }) => {
+            const playlist = this.find('playlists', params.id)
+            const data = typeof body === 'string' ? body : body?.imageData
+            playlist.images = [{ url: `data:image/jpeg;base64,${data}`, height: null, width: null }]
+            return { status: 202 }
+        })
+
+        // Player
+        route('GET', 'me/player', () => {
+            return state.player.devices.some((device) => device.is_active) ? ok(this.playback()) : noContent()
+        })
+        route('PUT', 'me/player', ({ body }) => {
+            const [deviceID] = body?.device_ids ?? []
+            const device = this.activeDevice(deviceID)
+            for (const candidate of state.player.devices) {
+                candidate.is_active = candidate === device
+            }
+            if (body?.play) {
+                state.player.is_playing = true
+            }
+            return noContent()
+        })
+        route('GET', 'me/player/devices', () => ok({ devices: state.player.devices }))
+        route('GET', 'me/player/currently-playing', () => {
+            return state.player.item ? ok(this.playback()) : noContent()
+        })
+        route('PUT', 'me/player/play', (request) => this.command(request, (player) => {
+            const { context_uri: contextURI, uris, offset, position_ms: positionMS } = request.body ?? {}
+            let items = uris
+            if (contextURI) {
+                const [, type, id] = contextURI.split(':')
+                items = type === 'playlist'
+                    ? this.find('playlists', id).items
+                    : state.tracks.filter((track) => track.album.id === id).map((track) => track.uri)
+                player.context = { type, uri: contextURI }
+            }
+            if (items?.length > 0) {
+                const start = offset?.uri ? Math.max(0, items.indexOf(offset.uri)) : offset?.position ?? 0
+                player.item = items[start]
+                player.queue = items.slice(start + 1)
+                player.progress_ms = positionMS ?? 0
+            }
+            player.is_playing = true
+        }))
+        route('PUT', 'me/player/pause', (request) => this.command(request, (player) => {
+            player.is_playing = false
+        }))
+        route('POST', 'me/player/next', (request) => this.command(request, () => this.playNext()))
+        route('POST', 'me/player/previous', (request) => this.command(request, (player) => {
+            player.progress_ms = 0
+        }))
+        route('PUT', 'me/player/seek', (request) => this.command(request, (player) => {
+            const position = Number(request.query.get('position_ms'))
+            if (!Number.isInteger(position) || position < 0) {
+                throw new MockError(400, 'Invalid position_ms')
+            }
+            player.progress_ms = position
+        }))
+        route('PUT', 'me/player/repeat', (request) => this.command(request, (player) => {
+            const repeat = request.query.get('state')
+            if (!['track', 'context', 'off'].includes(repeat)) {
+                throw new MockError(400, 'Invalid repeat state')
+            }
+            player.repeat_state = repeat
+        }))
+        route('PUT', 'me/player/volume', (request) => this.command(request, (player, device) => {
+            const volume = Number(request.query.get('volume_percent'))
+            if (!Number.isInteger(volume) || volume < 0 || volume > 100) {
+                throw new MockError(400, 'Invalid volume_percent')
+            }
+            device.volume_percent = volume
+        }))
+        route('PUT', 'me/player/shuffle', (request) => this.command(request, (player) => {
+            player.shuffle_state = request.query.get('state') === 'true'
+        }))
+        route('GET', 'me/player/recently-played', (request) => {
+            const limit = Number(request.query.get('limit') ?? 20)
+            const after = request.query.get('after')
+            const before = request.query.get('before')
+            if (after != null && before != null) {
+                throw new MockError(400, 'Only one of after or before can be set')
+            }
+            let played = [...state.player.recentlyPlayed]
+                .map((item) => ({ track: this.resolveURI(item.uri), played_at: item.played_at }))
+                .sort((a, b) => Date.parse(b.played_at) - Date.parse(a.played_at))
+            if (after != null) {
+                played = played.filter((item) => Date.parse(item.played_at) > Number(after)).slice(-limit)
+            } else {
+                played = played.filter((item) => before == null || Date.parse(item.played_at) < Number(before)).slice(0, limit)
+            }
+            const cursors = played.length > 0
+                ? { after: String(Date.parse(played[0].played_at)), before: String(Date.parse(played[played.length - 1].played_at)) }
+                : null
+            return ok({ href: `${this.apiURI}me/player/recently-played`, items: played, limit, cursors, next: null })
+        })
+        route('GET', 'me/player/queue', () => {
+            const player = state.player
+            return ok({
+                currently_playing: player.item ? this.resolveURI(player.item) : null,
+                queue: player.queue.map((uri) => this.resolveURI(uri))
+            })
+        })
+        route('POST', 'me/player/queue', (request) => this.command(request, (player) => {
+            const uri = request.query.get('uri')
+            if (!uri || this.resolveURI(uri) == null) {
+                throw new MockError(400, 'Invalid uri')
+            }
+            player.queue.push(uri)
+        }))
+
+        return routes
+    }
+}
@@ -0,0 +1,336 @@
+'use strict'
+
+import { getAlbumTracks, getNewReleases, getUserSavedAlbums } from './album.js'
+import { getArtistAlbums } from './artist.js'
+import { getAudiobookChapters, getUserSavedAudiobooks } from './audiobook.js'
+import { getSeveralBrowseCategories } from './categories.js'
+import { getUserSavedEpisodes } from './episodes.js'
+import { ValidationError } from './errors.js'
+import {
+    getCategoryPlaylists,
+    getCurrentUserPlaylists,
+    getFeaturedPlaylists,
+    getPlaylistItems,
+    getUserPlaylists
+} from './playlists.js'
+import { getRecentlyPlayedTracks } from './players.js'
+import { searchForItem } from './search.js'
+import { getShowEpisodes, getUserSavedShows } from './shows.js'
+import { getUserSavedTracks } from './tracks.js'
+import { getFollowedArtists } from './users.js'
+
+/**
+ * The offset-paged endpoints. For each endpoint, `limit`, `offset` and `requestOptions` are the positions of these
+ * parameters in its arguments (the access token being the first one), `maxLimit` is the largest page Spotify allows,
+ * and `page` reads the paging object out of the response when it is not the response itself.
+ */
+const pagedEndpoints = {
+    getAlbumTracks: { method: getAlbumTracks, limit: 3, offset: 4, maxLimit: 50, requestOptions: 5 },
+    getUserSavedAlbums: { method: getUserSavedAlbums, limit: 1, offset: 2, maxLimit: 50, requestOptions: 4 },
+    getNewReleases: {
+        method: getNewReleases,
+        limit: 2,
+        offset: 3,
+        maxLimit: 50,
+        requestOptions: 4,
+        page: (body) => body.albums
+    },
+    getArtistAlbums: { method: getArtistAlbums, limit: 4, offset: 5, maxLimit: 50, requestOptions: 6 },
+    getAudiobookChapters: { method: getAudiobookChapters, limit: 3, offset: 4, maxLimit: 50, requestOptions: 5 },
+    getUserSavedAudiobooks: { method: getUserSavedAudiobooks, limit: 1, offset: 2, maxLimit: 50, requestOptions: 3 },
+    getSeveralBrowseCategories: {
+        method: getSeveralBrowseCategories,
+        limit: 3,
+        offset: 4,
+        maxLimit: 50,
+        requestOptions: 5,
+        page: (body) => body.categories
+    },
+    getUserSavedEpisodes: { method: getUserSavedEpisodes, limit: 2, offset: 3, maxLimit: 50, requestOptions: 4 },
+    getPlaylistItems: { method: getPlaylistItems, limit: 4, offset: 5, maxLimit: 50, requestOptions: 7 },
+    getCurrentUserPlaylists: { method: getCurrentUserPlaylists, limit: 2, offset: 3, maxLimit: 50, requestOptions: 4 },
+    getUserPlaylists: { method: getUserPlaylists, limit: 2, offset: 3, maxLimit: 50, requestOptions: 4 },
+    getFeaturedPlaylists: {
+        method: getFeaturedPlaylists,
+        limit: 2,
+        offset: 3,
+        maxLimit: 50,
+        requestOptions: 4,
+        page: (body) => body.playlists
+    },
+    getCategoryPlaylists: {
+        method: getCategoryPlaylists,
+        limit: 2,
+        offset: 3,
+        maxLimit: 50,
+        requestOptions: 4,
+        page: (body) => body.playlists
+    },
+    searchForItem: {
+        method: searchForItem,
+        limit: 4,
+        offset: 5,
+        maxLimit: 50,
+        requestOptions: 7,
+        validate: (args) => {
+            if (!Array.isArray(args[2]) || args[2].length !== 1) {
+                throw new ValidationError('Search results can only be paginated for a single item type.')
+            }
+        },
+        page: (body, args) => body[`${args[2][0]}s`]
+    },
+    getShowEpisodes: { method: getShowEpisodes, limit: 3, offset: 4, maxLimit: 50, requestOptions: 5 },
+    getUserSavedShows: { method: getUserSavedShows, limit: 1, offset: 2, maxLimit: 50, requestOptions: 3 },
+    getUserSavedTracks: { method: getUserSavedTracks, limit: 2, offset: 3, maxLimit: 50, requestOptions: 4 }
+}
+
+/**
+ * Cursor directions: backward walks towards older items, forward towards newer ones.
+ * @type {{Backward: string, Forward: string}}
+ */
+export const CursorDirection = {
+    Backward: 'backward',
+    Forward: 'forward'
+}
+
+/**
+ * The cursor-paged endpoints. For each endpoint, `limit` and `requestOptions` are the positions of these parameters
+ * in its arguments, `cursors` maps each supported direction to the position of its cursor parameter, and `timestamp`
+ * reads the time of an item when the endpoint can be walked within a time window.
+ */
+const cursorEndpoints = {
+    getRecentlyPlayedTracks: {
+        method: getRecentlyPlayedTracks,
+        limit: 1,
+        maxLimit: 50,
+        requestOptions: 4,
+        cursors: { [CursorDirection.Forward]: 2, [CursorDirection.Backward]: 3 },
+        timestamp: (item) => Date.parse(item.played_at)
+    },
+    getFollowedArtists: {
+        method: getFollowedArtists,
+        limit: 2,
+        maxLimit: 50,
+        requestOptions: 3,
+        cursors: { [CursorDirection.Forward]: 1 },
+        page: (body) => body.artists
+    }
+}
+
+/**
+ * Paginator
+ * Walk the pages of an offset-paged endpoint, requesting the next page only once the current one is consumed.
+ */
+export class Paginator {
+    /**
+     * @param {function(number, number): Promise<Object>} fetchPage - Fetch the paging object at an offset.
+     * @param {Object} options - The pagination options.
+     * @param {number} options.pageSize - The number of items requested per page.
+     * @param {number} options.maxItems - The maximum number of items to return across all pages.
+     * @param {number} options.offset - The offset of the first item to return.
+     */
+    constructor(fetchPage, { pageSize, maxItems = Infinity, offset = 0 }) {
+        this.fetchPage = fetchPage
+        this.pageSize = pageSize
+        this.maxItems = maxItems
+        this.offset = offset
+    }
+
+    /**
+     * Iterate over the paging objects returned by the endpoint
+     * @returns {AsyncGenerator<Object>} The paging objects, each with its items trimmed to maxItems.
+     */
+    async* pages() {
+        let offset = this.offset
+        let remaining = this.maxItems
+        while (remaining > 0) {
+            const page = await this.fetchPage(this.pageSize, offset)
+            const items = page?.items ?? []
+            if (items.length === 0) {
+                return
+            }
+
+            yield { ...page, items: items.slice(0, remaining) }
+            remaining -= items.length
+            offset += items.length
+            if (page.next == null) {
+                return
+            }
+        }
+    }
+
+    async* [Symbol.asyncIterator]() {
+        for await (const page of this.pages()) {
+            yield* page.items
+        }
+    }
+
+    /**
+     * Collect the items of every page
+     * @returns {Promise<Object[]>} A promise that resolves to the items, up to maxItems.
+     */
+    async collectAll() {
+        const items = []
+        for await (const item of this) {
+            items.push(item)
+        }
+        return items
+    }
+}
+
+/**
+ * Cursor Paginator
+ * Walk the pages of a cursor-paged endpoint, following the cursor of each page in one direction until the
+ * cursors run out or the items leave the time window.
+ */
+export class CursorPaginator extends Paginator {
+    /**
+     * @param {function(number, (string|number|null)): Promise<Object>} fetchPage - Fetch the paging object at a cursor.
+     * @param {Object} options - The pagination options.
+     * @param {number} options.pageSize - The number of items requested per page.
+     * @param {number} options.maxItems - The maximum number of items to return across all pages.
+     * @param {CursorDirection} options.direction - The direction to walk in.
+     * @param {string | number | null} options.cursor - The cursor of the first page.
+     * @param {function(Object): boolean} options.contains - Tell whether an item is within the time window.
+     */
+    constructor(fetchPage, { pageSize, maxItems = Infinity, direction, cursor = null, contains = () => true }) {
+        super(fetchPage, { pageSize, maxItems })
+        this.direction = direction
+        this.cursor = cursor
+        this.contains = contains
+    }
+
+    async* pages() {
+        let cursor = this.cursor
+        let remaining = this.maxItems
+        while (remaining > 0) {
+            const page = await this.fetchPage(this.pageSize, cursor)
+            const items = page?.items ?? []
+            const inWindow = items.filter(this.contains)
+            if (inWindow.length > 0) {
+                yield { ...page, items: inWindow.slice(0, remaining) }
+                remaining -= inWindow.length
+            }
+
+            const next = this.direction === CursorDirection.Forward ? page?.cursors?.after : page?.cursors?.before
+            if (items.length === 0 || inWindow.length < items.length || next == null || next === cursor) {
+                return
+            }
+            cursor = next
+        }
+    }
+}
+
+/**
+ * Walk a cursor-paged endpoint
+ * @param {Object} endpoint - The cursor-paged endpoint.
+ * @param {Array} args - The arguments of the endpoint, starting with the access token.
+ * @param {Object} options - The pagination options.
+ * @param {function(Object, Array): Promise<Object>} call - Call the endpoint with the arguments of a page.
+ * @returns {CursorPaginator} An async iterable over the items.
+ * @throws {ValidationError} Will throw an error if the options are not supported by the endpoint.
+ */
+const paginateCursor = function(endpoint, args, options, call) {
+    const { pageSize, maxItems = Infinity, direction, since, until, requestOptions } = options
+    const walk = direction
+        ?? (endpoint.cursors[CursorDirection.Backward] != null ? CursorDirection.Backward : CursorDirection.Forward)
+    if (endpoint.cursors[walk] == null) {
+        throw new ValidationError(`"${endpoint.method.name}" cannot be walked ${walk}.`)
+    }
+    if ((since != null || until != null) && endpoint.timestamp == null) {
+        throw new ValidationError(`"${endpoint.method.name}" cannot be walked within a time window.`)
+    }
+
+    const from = since != null ? new Date(since).getTime() : -Infinity
+    const to = until != null ? new Date(until).getTime() : Infinity
+    const size = Math.min(pageSize ?? endpoint.maxLimit, endpoint.maxLimit)
+    const fetchPage = async (limit, cursor) => {
+        const pageArgs = [...args]
+        pageArgs[endpoint.limit] = limit
+        for (const index of Object.values(endpoint.cursors)) {
+            pageArgs[index] = null
+        }
+        pageArgs[endpoint.cursors[walk]] = cursor
+        if (requestOptions != null) {
+            pageArgs[endpoint.requestOptions] = requestOptions
+        }
+        const body = await call(endpoint, pageArgs)
+        return endpoint.page ? endpoint.page(body, pageArgs) : body
+    }
+
+    // Without a cursor, a timestamped endpoint returns its latest page, past which there is nothing to walk forward
+    // to: a forward walk without `since` starts from the beginning of the history instead.
+    const start = since != null ? from : (endpoint.timestamp != null ? 0 : null)
+    return new CursorPaginator(fetchPage, {
+        pageSize: size,
+        maxItems,
+        direction: walk,
+        cursor: walk === CursorDirection.Forward ? start : (until != null ? to : null),
+        contains: endpoint.timestamp == null ? () => true : (item) => {
+            const time = endpoint.timestamp(item)
+            return time >= from && time <= to
+        }
+    })
+}
+
+/**
+ * Paginate
+ * Iterate over every item of an offset-paged or cursor-paged endpoint, e.g.
+ * `for await (const item of paginate('getPlaylistItems', [accessToken, id]))`.
+ * @param {string | function} method - The endpoint, or its name.
+ * @param {Array} args - The arguments of the endpoint, starting with the access token. The limit and the
+ *                          offset or cursor arguments are set by the paginator.
+ * @param {Object} options - The pagination options.
+ * @param {number} options.pageSize - The number of items requested per page. Default: the endpoint maximum.
+ * @param {number} options.maxItems - The maximum number of items to return. Default: every item.
+ * @param {number} options.offset - The offset of the first item to return, for offset-paged endpoints. Default: 0.
+ * @param {CursorDirection} options.direction - The direction to walk in, for cursor-paged endpoints. Default:
+ *                          backward when supported, forward otherwise.
+ * @param {number | Date} options.since - The start of the time window, for endpoints with timestamped items. A
+ *                          forward walk without it starts from the oldest item.
+ * @param {number | Date} options.until - The end of the time window, for endpoints with timestamped items.
+ * @param {RequestOptions} options.requestOptions - The options of the request of every page, e.g. a signal to cancel
+ *                          the walk. A timeout applies to each page on its own.
+ * @returns {Paginator} An async iterable over the items, which can also collect them with collectAll().
+ * @throws {ValidationError} Will throw an error if the endpoint is not paged or the options are not supported.
+ */
+export const paginate = function(method, args = [], options = {}) {
+    return paginateEndpoint(method, args, options, (endpoint, pageArgs) => endpoint.method.apply(this, pageArgs))
+}
+
+/**
+ * Paginate an endpoint, sending each page with a custom call
+ * @param {string | function} method - The endpoint, or its name.
+ * @param {Array} args - The arguments of the endpoint, starting with the access token.
+ * @param {Object} options - The pagination options, see paginate.
+ * @param {function(Object, Array): Promise<Object>} call - Call the endpoint with the arguments of a page.
+ * @returns {Paginator} An async iterable over the items, which can also collect them with collectAll().
+ * @throws {ValidationError} Will throw an error if the endpoint is not paged or the options are not supported.
+ */
+export const paginateEndpoint = function(method, args, options, call) {
+    const name = typeof method === 'function' ? method.name : method
+    if (cursorEndpoints[name] != null) {
+        return paginateCursor(cursorEndpoints[name], args, options, call)
+    }
+
+    const endpoint = pagedEndpoints[name]
+    if (endpoint == null) {
+        throw new ValidationError(`"${name}" is not a paged endpoint.`)
+    }
+    endpoint.validate?.(args)
+
+    const { pageSize, maxItems = Infinity, offset = 0, requestOptions } = options
+    const size = Math.min(pageSize ?? endpoint.maxLimit, endpoint.maxLimit)
+    const fetchPage = async (limit, pageOffset) => {
+        const pageArgs = [...args]
+        pageArgs[endpoint.limit] = limit
+        pageArgs[endpoint.offset] = pageOffset
+        if (requestOptions != null) {
+            pageArgs[endpoint.requestOptions] = requestOptions
+        }
+        const body = await call(endpoint, pageArgs)
+        return endpoint.page ? endpoint.page(body, pageArgs) : body
+    }
+
+    return new Paginator(fetchPage, { pageSize: size, maxItems, offset })
+}
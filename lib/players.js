@@ -1,7 +1,8 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
+import { ValidationError } from './errors.js'
 
 export const AdditionalTypes = {
     Track: 'track',
@@ -22,11 +23,12 @@ export const AdditionalTypes = {
  *
  *                          Note: This parameter was introduced to allow existing clients to maintain their current
  *                          behaviour and might be deprecated in the future.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information about playback.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getPlaybackState = async (accessToken, market= '', additionalTypes= null) => {
-    const response = await WebRequest.builder()
+export const getPlaybackState = async function(accessToken, market= '', additionalTypes= null, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -35,10 +37,11 @@ export const getPlaybackState = async (accessToken, market= '', additionalTypes=
             market,
             additional_types: additionalTypes
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -53,12 +56,13 @@ export const getPlaybackState = async (accessToken, market= '', additionalTypes=
  *
     *                      Note: Although an array is accepted, only a single device is currently supported.
  * @param {boolean} play - Ensure playback happens on new device (true). or keep the current playback state (false).
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of  the
  *                          playback.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const transferPlayback = async (accessToken, ids, play = false) => {
-    const response = await WebRequest.builder()
+export const transferPlayback = async function(accessToken, ids, play = false, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -67,10 +71,11 @@ export const transferPlayback = async (accessToken, ids, play = false) => {
             device_ids: ids,
             play
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -79,20 +84,22 @@ export const transferPlayback = async (accessToken, ids, play = false) => {
  * not be listed in the API response.
  * @async
  * @param {string} accessToken - The access token for authentication with the Spotify API.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of devices.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getAvailableDevices = async (accessToken) => {
-    const response = await WebRequest.builder()
+export const getAvailableDevices = async function(accessToken, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/devices')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -109,9 +116,10 @@ export const getAvailableDevices = async (accessToken) => {
  *
  *                          Note: This parameter was introduced to allow existing clients to maintain their current
  *                          behaviour and might be deprecated in the future.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  */
-export const getCurrentlyPlayingTrack = async (accessToken, market = '', additionalTypes = null) => {
-    const response = await WebRequest.builder()
+export const getCurrentlyPlayingTrack = async function(accessToken, market = '', additionalTypes = null, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/currently-playing')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -120,10 +128,11 @@ export const getCurrentlyPlayingTrack = async (accessToken, market = '', additio
             market,
             additional_types: additionalTypes
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 
@@ -144,12 +153,13 @@ export const getCurrentlyPlayingTrack = async (accessToken, market = '', additio
  *                          Note: Only available when contextURI corresponds to an album or playlist object
  *                          "position" is zero based and can't be negative.
  * @param {number} positionMS - Integer
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information if the
  *                          playback has started.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const startPlayback = async (accessToken, id, contextURI = '', uris = null, offset = null, positionMS = 0) => {
-    const response = await WebRequest.builder()
+export const startPlayback = async function(accessToken, id, contextURI = '', uris = null, offset = null, positionMS = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/play')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -160,10 +170,11 @@ export const startPlayback = async (accessToken, id, contextURI = '', uris = nul
             offset,
             position_ms: positionMS
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -176,12 +187,13 @@ export const startPlayback = async (accessToken, id, contextURI = '', uris = nul
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The ID of the device this command is targeting. If not supplied, the user's currently
  *                          active device is the target.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information if the
  *                          playback is paused.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const pausePlayback = async (accessToken, id = '') => {
-    const response = await WebRequest.builder()
+export const pausePlayback = async function(accessToken, id = '', requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/pause')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -189,10 +201,11 @@ export const pausePlayback = async (accessToken, id = '') => {
         .withQueryParameters({
             device_id: id
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -205,12 +218,13 @@ export const pausePlayback = async (accessToken, id = '') => {
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The id of the device this command is targeting. If not supplied, the user's currently
  *                          active device is the target.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const skipToNext = async (accessToken, id= '') => {
-    const response = await WebRequest.builder()
+export const skipToNext = async function(accessToken, id= '', requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/next')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -218,10 +232,11 @@ export const skipToNext = async (accessToken, id= '') => {
         .withQueryParameters({
             device_id: id
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -234,12 +249,13 @@ export const skipToNext = async (accessToken, id= '') => {
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The id of the device this command is targeting. If not supplied, the user's currently
  *                          active device is the target.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const skipToPrevious = async (accessToken, id= '') => {
-    const response = await WebRequest.builder()
+export const skipToPrevious = async function(accessToken, id= '', requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/previous')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -247,10 +263,11 @@ export const skipToPrevious = async (accessToken, id= '') => {
         .withQueryParameters({
             device_id: id
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -266,19 +283,17 @@ export const skipToPrevious = async (accessToken, id= '') => {
  *                          start playing the next song.
  * @param {string} id - The id of the device this command is targeting. If not supplied, the user's currently
  *                          active device is the target.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const seekToPosition = async (accessToken, positionMS, id= '') => {
+export const seekToPosition = async function(accessToken, positionMS, id= '', requestOptions) {
     if (positionMS < 1) {
-        return {
-            status: '400',
-            message: '"positionMS" must be a positive number.'
-        }
+        throw new ValidationError('"positionMS" must be a positive number.')
     }
 
-    const response = await WebRequest.builder()
+    const response = await WebRequest.builder(this)
         .withPath('me/player/seek')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -287,10 +302,11 @@ export const seekToPosition = async (accessToken, positionMS, id= '') => {
             position_ms: positionMS,
             device_id: id
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 export const RepeatState = {
@@ -310,13 +326,14 @@ export const RepeatState = {
  * @param {RepeatState} state - The player's repeat state.
  * @param {string} id - The id of the device this command is targeting. If not supplied, the user's currently
  *                          active device is the target.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const setRepeatMode = async (accessToken, state, id= '') => {
-    const response = await WebRequest.builder()
-        .withPath('me/player/seek')
+export const setRepeatMode = async function(accessToken, state, id= '', requestOptions) {
+    const response = await WebRequest.builder(this)
+        .withPath('me/player/repeat')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.PUT)
@@ -324,10 +341,11 @@ export const setRepeatMode = async (accessToken, state, id= '') => {
             state,
             device_id: id
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -341,19 +359,17 @@ export const setRepeatMode = async (accessToken, state, id= '') => {
  * @param {number} volumePercent - The volume to set. Must be a value from 0 to 100 inclusive.
  * @param {string} id - The id of the device this command is targeting. If not supplied, the user's currently
  *                          active device is the target.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const setPlaybackVolume = async (accessToken, volumePercent, id= '') => {
+export const setPlaybackVolume = async function(accessToken, volumePercent, id= '', requestOptions) {
     if (volumePercent < 0 || volumePercent > 100) {
-        return {
-            status: 400,
-            message: "Invalid volume percentage. Allowed values are between 0 and 100."
-        }
+        throw new ValidationError('Invalid volume percentage. Allowed values are between 0 and 100.')
     }
 
-    const response = await WebRequest.builder()
+    const response = await WebRequest.builder(this)
         .withPath('me/player/volume')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -362,10 +378,11 @@ export const setPlaybackVolume = async (accessToken, volumePercent, id= '') => {
             volume_percent: volumePercent,
             device_id: id
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -379,12 +396,13 @@ export const setPlaybackVolume = async (accessToken, volumePercent, id= '') => {
  * @param {boolean} state - Shuffle user's playback (true) or not (false).
  * @param {string} id - The id of the device this command is targeting. If not supplied, the user's currently
  *                          active device is the target.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const togglePlaybackShuffle = async (accessToken, state, id= '') => {
-    const response = await WebRequest.builder()
+export const togglePlaybackShuffle = async function(accessToken, state, id= '', requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/shuffle')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -393,10 +411,11 @@ export const togglePlaybackShuffle = async (accessToken, state, id= '') => {
             state,
             device_id: id
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -410,33 +429,32 @@ export const togglePlaybackShuffle = async (accessToken, state, id= '') => {
  *                          cursor position. If after is specified, before must not be specified.
  * @param {number | null} before - A unix timestamp in milliseconds. Returns all items before (but not including) this
  *                          cursor position. If before is specified, after must not be  specified.
- * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
- *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
+ * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the cursor-based paging
+ *                          of play history objects.
+ * @throws {ValidationError} - Will throw an error if both after and before are specified.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getRecentlyPlayedTracks = async (accessToken, limit= 20, after= null, before= null) => {
-    let queryParams = {}
-    if (before != null) {
-        queryParams.before = before
-        queryParams.after = null
-    } else if (after != null) {
-        queryParams.before = null
-        queryParams.after = after
+export const getRecentlyPlayedTracks = async function(accessToken, limit= 20, after= null, before= null, requestOptions) {
+    if (after != null && before != null) {
+        throw new ValidationError('Only one of "after" or "before" can be specified.')
     }
 
-    const response = await WebRequest.builder()
-        .withPath('me/player/shuffle')
+    const response = await WebRequest.builder(this)
+        .withPath('me/player/recently-played')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
         .withQueryParameters({
             limit,
-            ...queryParams
+            after,
+            before
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -444,20 +462,22 @@ export const getRecentlyPlayedTracks = async (accessToken, limit= 20, after= nul
  * Get the list of object that make up the user's queue
  * @async
  * @param accessToken - The access token for authentication with the Spotify API.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getUserQueue = async (accessToken) => {
-    const response = await WebRequest.builder()
+export const getUserQueue = async function(accessToken, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/queue')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -471,12 +491,13 @@ export const getUserQueue = async (accessToken) => {
  * @param {string} uri - The uri of the item to add to the queue. Must be a track or an episode uri.
  * @param {string} id - The id of the device this command is targeting. If not supplied, the user's currently
  *                          active device is the target.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the information of a set
  *                          of genres.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const addItemToPlaybackQueue = async (accessToken, uri, id= '') => {
-    const response = await WebRequest.builder()
+export const addItemToPlaybackQueue = async function(accessToken, uri, id= '', requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/player/queue')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -485,8 +506,9 @@ export const addItemToPlaybackQueue = async (accessToken, uri, id= '') => {
             uri,
             device_id: id
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
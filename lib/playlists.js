@@ -1,7 +1,7 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
 import { AdditionalTypes } from "./players.js";
 
 /**
@@ -21,12 +21,13 @@ import { AdditionalTypes } from "./players.js";
  *
  *                          Note: This parameter was introduced to allow existing clients to maintain their
  *                          current behaviour and might be deprecated in the future.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the playlist information of
  *                          the playlist.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getPlaylist = async (accessToken, id, market = '', fields = '', additionalTypes = null) => {
-    const response = await WebRequest.builder()
+export const getPlaylist = async function(accessToken, id, market = '', fields = '', additionalTypes = null, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -36,10 +37,11 @@ export const getPlaylist = async (accessToken, id, market = '', fields = '', add
             fields,
             additional_types: additionalTypes
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -56,12 +58,13 @@ export const getPlaylist = async (accessToken, id, market = '', fields = '', add
  *                          Note: You can only set collaborative to true on non-public playlists.
  * @param {string} description - Value for playlist description as displayed in Spotify Clients and in
  *                          the Web API.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the status information
  *                          if the playlist was updated.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const changePlaylistDetails = async (accessToken, id, name, visibility, collaborative, description) => {
-    const response = await WebRequest.builder()
+export const changePlaylistDetails = async function(accessToken, id, name, visibility, collaborative, description, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -72,10 +75,11 @@ export const changePlaylistDetails = async (accessToken, id, name, visibility, c
             collaborative,
             description
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -98,12 +102,13 @@ export const changePlaylistDetails = async (accessToken, id, name, visibility, c
  *
  *                          Note: This parameter was introduced to allow existing clients to maintain their
  *                          current behaviour and might be deprecated in the future.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of pages
  *                          of the tracks.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getPlaylistItems = async (accessToken, id, market = '', fields = '', limit = 20, offset = 0, additionalTypes = null) => {
-    const response = await WebRequest.builder()
+export const getPlaylistItems = async function(accessToken, id, market = '', fields = '', limit = 20, offset = 0, additionalTypes = null, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}/tracks`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -115,8 +120,11 @@ export const getPlaylistItems = async (accessToken, id, market = '', fields = ''
             offset,
             additional_types: additionalTypes
         })
+        .withRequestOptions(requestOptions)
+        .build()
+        .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -136,12 +144,13 @@ export const getPlaylistItems = async (accessToken, id, market = '', fields = ''
  *                          of items to be reordered begins from the rangeStart position., and includes the
  *                          rangeLength subsequent items.
  * @param {string} snapshotID - The playlist's snapshot ID against which you want to make the changes.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of snapshot
  *                          ID for the playlist
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const reorderPlaylistItems = async (accessToken, id, rangeStart, insertBefore, rangeLength, snapshotID) => {
-    const response = await WebRequest.builder()
+export const reorderPlaylistItems = async function(accessToken, id, rangeStart, insertBefore, rangeLength, snapshotID, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}/tracks`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -152,10 +161,11 @@ export const reorderPlaylistItems = async (accessToken, id, rangeStart, insertBe
             range_length: rangeLength,
             snapshot_id: snapshotID
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -169,12 +179,13 @@ export const reorderPlaylistItems = async (accessToken, id, rangeStart, insertBe
  * @param {string} id - The Spotify ID of the playlist.
  * @param {string[]} uris - An array of Spotify URIs to set, can be track or episode URIs. A maximum of 100
  *                          items can be set in one request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of snapshot
  *                          ID for the playlist
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const replacePlaylistItems = async (accessToken, id, uris) => {
-    const response = await WebRequest.builder()
+export const replacePlaylistItems = async function(accessToken, id, uris, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}/tracks`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -182,10 +193,11 @@ export const replacePlaylistItems = async (accessToken, id, uris) => {
         .withBodyParameters({
             uris
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -200,11 +212,12 @@ export const replacePlaylistItems = async (accessToken, id, uris) => {
  *                          items instead.
  *
  *                          Note: Items are added in the order they appear in the uris array.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of snapshot
  *                          ID for the playlist
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const addItemsToPlaylist = async (accessToken, id, uris, position = -1) => {
+export const addItemsToPlaylist = async function(accessToken, id, uris, position = -1, requestOptions) {
     let bodyParams = { uris }
     if (position >= 0) {
         bodyParams = {
@@ -212,18 +225,17 @@ export const addItemsToPlaylist = async (accessToken, id, uris, position = -1) =
             position
         }
     }
-    const response = await WebRequest.builder()
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}/tracks`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.POST)
-        .withBodyParameters({
-            bodyParams
-        })
+        .withBodyParameters(bodyParams)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json
+    return readJSON(response)
 }
 
 /**
@@ -243,12 +255,13 @@ export const addItemsToPlaylist = async (accessToken, id, uris, position = -1) =
  *                          API will validate that the specified items exist and in the specified positions
  *                          and make the changes, even if more recent changes have been made to the
  *                          playlist.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of snapshot
  *                          ID for the playlist
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const removePlaylistItems = async (accessToken, id, tracks, snapshotID) => {
-    const response = await WebRequest.builder()
+export const removePlaylistItems = async function(accessToken, id, tracks, snapshotID, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}/tracks`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -257,10 +270,11 @@ export const removePlaylistItems = async (accessToken, id, tracks, snapshotID) =
             tracks,
             snapshot_id: snapshotID
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -272,12 +286,13 @@ export const removePlaylistItems = async (accessToken, id, tracks, snapshotID) =
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first playlist to return. Default: 0 (the first object).
  *                          Maximum offset: 100.000. Use with limit to get the next set of playlists.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of snapshot
  *                          ID for the playlist
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getCurrentUserPlaylists = async (accessToken, id, limit = 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getCurrentUserPlaylists = async function(accessToken, id, limit = 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`me/playlists`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -286,10 +301,11 @@ export const getCurrentUserPlaylists = async (accessToken, id, limit = 20, offse
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -300,12 +316,13 @@ export const getCurrentUserPlaylists = async (accessToken, id, limit = 20, offse
  * @param {string} id - The Spotify ID of the playlist.
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first playlist to return. Default: 0 (the first object).
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of list
  *                          of playlists owned or followed by the current Spotify user.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getUserPlaylists = async (accessToken, id, limit = 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getUserPlaylists = async function(accessToken, id, limit = 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`users/${id}/playlists`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -314,10 +331,11 @@ export const getUserPlaylists = async (accessToken, id, limit = 20, offset = 0)
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -330,12 +348,13 @@ export const getUserPlaylists = async (accessToken, id, limit = 20, offset = 0)
  * @param {boolean} hidden - If true the playlist will be public, if false it will be private. Default: true.
  * @param {boolean} collaborative - If true, the playlist will become collaborative. Default: false
  * @param {string} description - Value for playlist description as displayed in Spotify Clients and in the Web API.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                         playlist created.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const createPlaylist = async (accessToken, id, name, hidden, collaborative, description) => {
-    const response = await WebRequest.builder()
+export const createPlaylist = async function(accessToken, id, name, hidden, collaborative, description, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`users/${id}/playlists`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -346,10 +365,11 @@ export const createPlaylist = async (accessToken, id, name, hidden, collaborativ
             collaborative,
             description
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -365,12 +385,13 @@ export const createPlaylist = async (accessToken, id, name, hidden, collaborativ
  *                          all strings will be returned in the Spotify default language (American English).
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first playlist to return. Default: 0 (the first object).
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                         paged set of playlists.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getFeaturedPlaylists = async (accessToken, locale = '', limit = 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getFeaturedPlaylists = async function(accessToken, locale = '', limit = 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`browse/featured-playlists`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -380,10 +401,11 @@ export const getFeaturedPlaylists = async (accessToken, locale = '', limit = 20,
             limit,
             offset,
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -394,12 +416,13 @@ export const getFeaturedPlaylists = async (accessToken, locale = '', limit = 20,
  * @param {string} categoryID - The Spotify category ID for the category.
  * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first playlist to return. Default: 0 (the first object).
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                        paged set of playlists
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getCategoryPlaylists = async (accessToken, categoryID, limit = 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getCategoryPlaylists = async function(accessToken, categoryID, limit = 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`browse/categories/${categoryID}/playlists`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -408,10 +431,11 @@ export const getCategoryPlaylists = async (accessToken, categoryID, limit = 20,
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -420,20 +444,22 @@ export const getCategoryPlaylists = async (accessToken, categoryID, limit = 20,
  * Get the current image associated with a specific playlist.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The Spotify ID of the playlist.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                        playlist cover image.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getPlaylistCoverImage = async (accessToken, id) => {
-    const response = await WebRequest.builder()
+export const getPlaylistCoverImage = async function(accessToken, id, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}/images`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -443,12 +469,13 @@ export const getPlaylistCoverImage = async (accessToken, id) => {
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The Spotify ID of the playlist.
  * @param {string} imageData - Base64 encoded JPEG image data, maximum payload size is 256 KB.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                       status of the image upload.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const addCustomPlaylistCoverImage = async (accessToken, id, imageData) => {
-    const response = await WebRequest.builder()
+export const addCustomPlaylistCoverImage = async function(accessToken, id, imageData, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`playlists/${id}/images`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -456,8 +483,9 @@ export const addCustomPlaylistCoverImage = async (accessToken, id, imageData) =>
         .withBodyParameters({
             imageData
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
@@ -0,0 +1,94 @@
+'use strict'
+
+/**
+ * The body and query fields whose values are secret: they are never logged nor written to a cassette.
+ * @type {string[]}
+ */
+export const redactedFields = ['access_token', 'refresh_token', 'client_secret', 'code', 'code_verifier']
+
+/**
+ * The headers whose values are secret.
+ * @type {string[]}
+ */
+export const redactedHeaders = ['authorization', 'cookie', 'set-cookie']
+
+/**
+ * The value replacing the secrets.
+ * @type {string}
+ */
+export const redacted = '[REDACTED]'
+
+/**
+ * Redact the secret fields of a body
+ * JSON bodies are redacted whatever their content type, and the fields of a form only when the content type is
+ * application/x-www-form-urlencoded. Other bodies, e.g. plain text or image data, are returned unchanged.
+ * @param {string | URLSearchParams | undefined} body - The serialized body.
+ * @param {string | null} contentType - The content type of the body.
+ * @returns {string | null} The body with the values of the secret fields replaced, or null if it is empty.
+ */
+export const redactBody = function(body, contentType) {
+    if (body == null || body === '') {
+        return null
+    }
+    const text = String(body)
+    if (contentType?.toLowerCase().startsWith('application/x-www-form-urlencoded')) {
+        const form = new URLSearchParams(text)
+        for (const field of redactedFields) {
+            if (form.has(field)) {
+                form.set(field, redacted)
+            }
+        }
+        return form.toString()
+    }
+
+    let json
+    try {
+        json = JSON.parse(text)
+    } catch {
+        return text
+    }
+    const secrets = json != null && typeof json === 'object' && !Array.isArray(json)
+        ? redactedFields.filter((field) => json[field] != null)
+        : []
+    if (secrets.length === 0) {
+        return text
+    }
+    for (const field of secrets) {
+        json[field] = redacted
+    }
+    return JSON.stringify(json)
+}
+
+/**
+ * Redact the secret query parameters of a URL
+ * @param {string} url - The URL.
+ * @returns {string} The URL with the values of the secret parameters replaced.
+ */
+export const redactURL = function(url) {
+    const parsed = new URL(url)
+    if (redactedFields.every((field) => !parsed.searchParams.has(field))) {
+        return url
+    }
+    for (const field of redactedFields) {
+        if (parsed.searchParams.has(field)) {
+            parsed.searchParams.set(field, redacted)
+        }
+    }
+    return parsed.toString()
+}
+
+/**
+ * Redact the secret headers, keeping the scheme of the Authorization header
+ * @param {Object | Headers} headers - The headers.
+ * @returns {Object} A copy of the headers with the secret values replaced.
+ */
+export const redactHeaders = function(headers) {
+    const entries = headers instanceof Headers ? [...headers] : Object.entries(headers ?? {})
+    return Object.fromEntries(entries.map(([name, value]) => {
+        if (!redactedHeaders.includes(name.toLowerCase())) {
+            return [name, value]
+        }
+        const scheme = name.toLowerCase() === 'authorization' ? String(value).split(' ')[0] : null
+        return [name, scheme != null && scheme !== value ? `${scheme} ${redacted}` : redacted]
+    }))
+}
@@ -4,6 +4,11 @@ import * as Request from './Request.js'
 
 export const baseURI = 'https://accounts.spotify.com/'
 
-export const builder = function() {
-    return Request.builder().withURI(baseURI)
+/**
+ * Create a request builder
+ * @param {Snodeify | undefined} client - The Snodeify instance whose configuration applies to the request.
+ * @returns {Builder} A request builder
+ */
+export const builder = function(client) {
+    return Request.builder().withClient(client).withURI(client?.transport?.accountsURI ?? baseURI)
 }
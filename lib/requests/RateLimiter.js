@@ -0,0 +1,183 @@
+'use strict'
+
+/**
+ * Request priorities: the lower the value, the sooner the request is sent.
+ * @type {{Interactive: number, Normal: number}}
+ */
+export const RequestPriority = {
+    Interactive: 0,
+    Normal: 1
+}
+
+/**
+ * The paths of the requests sent before any other by default: the player controls, which a user is waiting on.
+ * @type {RegExp[]}
+ */
+export const defaultInteractivePaths = [/^me\/player\/(play|pause|next|previous|seek|volume|repeat|shuffle|queue)$/]
+
+/**
+ * Limit the rate and the concurrency of the requests of an instance
+ *
+ * Every attempt takes a token from a bucket refilled at a steady rate, and waits for one of a bounded number of
+ * in-flight slots. Waiting requests are sent by priority, then in order: the player controls jump ahead of bulk jobs.
+ * When Spotify rejects a request with a 429, every request waits for the Retry-After delay, and the rate is halved,
+ * before it recovers linearly to the configured rate.
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} options - The limiter options.
+     * @param {number} options.requestsPerSecond - The rate at which the bucket is refilled.
+     * @param {number} options.burst - The capacity of the bucket, i.e. the requests sent at once after a quiet period.
+     * @param {number} options.maxInFlight - The maximum number of requests awaiting their response.
+     * @param {number} options.minRequestsPerSecond - The lowest rate the limiter slows down to.
+     * @param {number} options.recoveryMS - How long the rate takes to recover after a 429, in milliseconds.
+     * @param {RegExp[]} options.interactivePaths - The paths of the requests sent with the interactive priority.
+     */
+    constructor({
+        requestsPerSecond = 10,
+        burst = requestsPerSecond,
+        maxInFlight = 10,
+        minRequestsPerSecond = 1,
+        recoveryMS = 30000,
+        interactivePaths = defaultInteractivePaths
+    } = {}) {
+        this.requestsPerSecond = requestsPerSecond
+        this.burst = burst
+        this.maxInFlight = maxInFlight
+        this.minRequestsPerSecond = minRequestsPerSecond
+        this.recoveryMS = recoveryMS
+        this.interactivePaths = interactivePaths
+        this.tokens = burst
+        this.refilledAt = Date.now()
+        this.reducedRate = null
+        this.reducedAt = null
+        this.pausedUntil = 0
+        this.inFlight = 0
+        this.queue = []
+        this.sequence = 0
+        this.timer = null
+    }
+
+    /**
+     * Get the priority of a request
+     * @param {string} path - The path of the request, relative to the base URI.
+     * @returns {number} The priority, see RequestPriority.
+     */
+    getPriority(path) {
+        return this.interactivePaths.some((pattern) => pattern.test(path))
+            ? RequestPriority.Interactive
+            : RequestPriority.Normal
+    }
+
+    /**
+     * Get the current rate, lowered after a 429 and recovering over time
+     * @returns {number} The number of requests per second.
+     */
+    getRate() {
+        if (this.reducedRate == null) {
+            return this.requestsPerSecond
+        }
+        const recovered = (Date.now() - this.reducedAt) / this.recoveryMS
+        if (recovered >= 1) {
+            this.reducedRate = null
+            return this.requestsPerSecond
+        }
+        return this.reducedRate + (this.requestsPerSecond - this.reducedRate) * recovered
+    }
+
+    /**
+     * Wait for a token and an in-flight slot
+     * @param {number} priority - The priority of the request, see RequestPriority.
+     * @param {AbortSignal} signal - Leaves the queue once aborted, if any.
+     * @returns {Promise<function(): void>} A promise that resolves to the function releasing the slot once the
+     *                          response has been received, or rejects with the abort reason.
+     */
+    acquire(priority = RequestPriority.Normal, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason)
+                return
+            }
+            const waiting = { priority, sequence: this.sequence++, resolve }
+            if (signal != null) {
+                const onAbort = () => {
+                    this.queue.splice(this.queue.indexOf(waiting), 1)
+                    reject(signal.reason)
+                }
+                signal.addEventListener('abort', onAbort, { once: true })
+                waiting.resolve = (release) => {
+                    signal.removeEventListener('abort', onAbort)
+                    resolve(release)
+                }
+            }
+            this.queue.push(waiting)
+            this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence)
+            this.drain()
+        })
+    }
+
+    /**
+     * Slow down after a request was rejected with a 429
+     * @param {number | null} retryAfter - The Retry-After delay, in seconds, if known.
+     */
+    onRateLimited(retryAfter) {
+        this.reducedRate = Math.max(this.minRequestsPerSecond, this.getRate() / 2)
+        this.reducedAt = Date.now()
+        this.tokens = Math.min(this.tokens, 0)
+        if (retryAfter != null) {
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter * 1000)
+        }
+    }
+
+    /**
+     * Refill the bucket according to the time elapsed since the last refill
+     */
+    refill() {
+        const now = Date.now()
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) * this.getRate() / 1000)
+        this.refilledAt = now
+    }
+
+    /**
+     * Send as many waiting requests as the bucket and the in-flight slots allow, and wake up once more can be sent
+     */
+    drain() {
+        clearTimeout(this.timer)
+        this.timer = null
+        while (this.queue.length > 0 && this.inFlight < this.maxInFlight) {
+            this.refill()
+            const wait = Math.max(this.pausedUntil - Date.now(), (1 - this.tokens) * 1000 / this.getRate())
+            if (wait > 0) {
+                this.timer = setTimeout(() => this.drain(), Math.ceil(wait))
+                return
+            }
+            this.tokens -= 1
+            this.inFlight++
+            const { resolve } = this.queue.shift()
+            let released = false
+            resolve(() => {
+                if (!released) {
+                    released = true
+                    this.inFlight--
+                    this.drain()
+                }
+            })
+        }
+    }
+}
+
+/**
+ * Resolve the rate limiter from the configuration of a Snodeify instance
+ * @param {Object | RateLimiter | boolean | undefined} options - The limiter options, see RateLimiter, or a limiter
+ *                          shared with other instances. Requests are not limited by default.
+ * @returns {RateLimiter | null} The rate limiter.
+ */
+export const resolveRateLimiter = function(options) {
+    if (options == null || options === false) {
+        return null
+    }
+    if (options instanceof RateLimiter) {
+        return options
+    }
+    return new RateLimiter(options === true ? {} : options)
+}
@@ -1,6 +1,9 @@
 'use strict'
 
 import qs from 'qs'
+import { createErrorFromResponse, RateLimitError, TimeoutError } from '../errors.js'
+import { redactBody, redactHeaders, redactURL } from '../redact.js'
+import { getRetryDelay, resolveRetryPolicy, sleep } from './RetryPolicy.js'
 
 export const ContentType = {
     ApplicationJSON: 'application/json',
@@ -30,6 +33,10 @@ const filterEmptyString = (object) => {
     }));
 }
 
+const filterUndefined = (object) => {
+    return Object.fromEntries(Object.entries(object).filter(([_, value]) => value !== undefined))
+}
+
 const Request = function(builder) {
     if (!builder) {
         throw new Error('Builder is not defined');
@@ -48,34 +55,386 @@ Request.prototype.getFullURI = function() {
 }
 
 Request.prototype.getAuthorizationURI = function() {
-    const queryString = qs.stringify(this.builder.queryParameters)
-    return this.getFullURI() + queryString
+    return this.getFullURI()
 }
 
+/**
+ * Serialize the body of a request according to its content type
+ * @param {*} body - The body parameters.
+ * @param {string} contentType - The content type of the request.
+ * @returns {string} The serialized body.
+ */
+const serializeBody = function(body, contentType) {
+    if (typeof body === 'string' || body instanceof URLSearchParams) {
+        return body
+    }
+    if (contentType === ContentType.ApplicationURLEncodedForm) {
+        return new URLSearchParams(Object.entries(body).filter(([_, value]) => value != null)).toString()
+    }
+    return JSON.stringify(body)
+}
+
+/**
+ * Tell whether a value returned by an interceptor is a response
+ * @param {*} value - The value returned by the interceptor.
+ * @returns {boolean} True if the value is a response.
+ */
+const isResponse = function(value) {
+    return value != null && typeof value === 'object' && typeof value.status === 'number'
+}
+
+/**
+ * Get the interceptors of the client followed by the interceptors of the request
+ * @param {Request} request - The request to intercept.
+ * @returns {Object[]} The interceptors.
+ */
+const getInterceptors = function(request) {
+    return [...(request.builder.client?.interceptors ?? []), ...request.builder.interceptors]
+}
+
+/**
+ * Create the context shared by the interceptors of one attempt
+ * @param {Request} request - The request to send.
+ * @param {number} attempt - The number of the attempt, starting at 1.
+ * @param {AbortSignal | undefined} signal - The signal aborting the request, if any.
+ * @returns {{method: string, url: string, path: string, headers: Object, body: *, attempt: number,
+ *            signal: AbortSignal}} The context.
+ */
+const createContext = function(request, attempt, signal) {
+    let body
+    if (request.builder.bodyParameters != null && !(request.builder.bodyParameters instanceof URLSearchParams)) {
+        body = filterEmptyString(request.builder.bodyParameters)
+    }
+    return {
+        method: request.builder.method,
+        url: request.getFullURI(),
+        path: request.builder.path,
+        headers: filterUndefined({
+            'Authorization': request.builder.authorization,
+            'Content-Type': request.builder.contentType
+        }),
+        body,
+        attempt,
+        signal
+    }
+}
+
+/**
+ * Send the request once
+ *
+ * The onRequest interceptors may mutate the context, or return a response to skip the transport altogether.
+ * The onResponse interceptors may return a response to replace the one received.
+ * @param {Request} request - The request to send.
+ * @param {Object} context - The context of the attempt.
+ * @param {boolean} revalidating - Whether the request revalidates a cached response, so a 304 is expected.
+ * @returns {Promise<Response>} A promise that resolves to the response of a successful request.
+ * @throws {SpotifyApiError} Will throw the error matching the status code if the response is not successful.
+ */
+const send = async function(request, context, revalidating = false) {
+    const interceptors = getInterceptors(request)
+    let response = null
+    for (const interceptor of interceptors) {
+        const result = await interceptor.onRequest?.(context)
+        if (isResponse(result)) {
+            response = result
+            break
+        }
+    }
+
+    if (response == null) {
+        const options = {
+            method: context.method,
+            headers: context.headers
+        }
+        if (context.body !== undefined) {
+            options.body = serializeBody(context.body, context.headers['Content-Type'])
+        }
+        if (context.signal != null) {
+            options.signal = context.signal
+        }
+
+        const transport = request.builder.client?.transport ?? {}
+        if (transport.dispatcher != null) {
+            options.dispatcher = transport.dispatcher
+        }
+        if (transport.agent != null) {
+            options.agent = transport.agent
+        }
+        const fetchImplementation = transport.fetch ?? fetch
+        const cassette = request.builder.client?.cassette
+        const logger = request.builder.client?.logger
+        const fields = {
+            method: context.method,
+            url: redactURL(context.url),
+            attempt: context.attempt
+        }
+        logger?.debug('Sending request', {
+            ...fields,
+            headers: redactHeaders(context.headers),
+            body: redactBody(options.body, new Headers(options.headers).get('content-type'))
+        })
+        const startedAt = Date.now()
+        try {
+            response = cassette != null
+                ? await cassette.fetch(context.url, options, fetchImplementation)
+                : await fetchImplementation(context.url, options)
+        } catch (error) {
+            // Fetch implementations reject aborted requests with errors of their own: report why it was aborted.
+            const reason = context.signal?.aborted ? context.signal.reason : error
+            logger?.warn('Request failed', { ...fields, durationMS: Date.now() - startedAt, error: reason.message })
+            throw reason
+        }
+        logger?.[response.ok ? 'debug' : 'warn']('Received response', {
+            ...fields,
+            status: response.status,
+            durationMS: Date.now() - startedAt,
+            headers: redactHeaders(response.headers)
+        })
+    }
+
+    for (const interceptor of interceptors) {
+        const result = await interceptor.onResponse?.(response, context)
+        if (isResponse(result)) {
+            response = result
+        }
+    }
+
+    if (!response.ok && !(revalidating && response.status === 304)) {
+        throw await createErrorFromResponse(response, {
+            method: context.method,
+            path: context.path
+        })
+    }
+    return response
+}
+
+/**
+ * Send the request
+ *
+ * Identical GET requests in flight at the same time, i.e. with the same URI and the same access token, share a single
+ * underlying request: its retries, cache lookups and events happen once, and every caller receives its own copy of
+ * the response, or the same error. Requests with interceptors, a signal or a timeout of their own are never shared.
+ * @returns {Promise<Response>} A promise that resolves to the response of a successful request.
+ * @throws {SpotifyApiError} Will throw the error of the last attempt if the request never succeeds.
+ */
 Request.prototype.fetch = async function() {
-    let options = {
-        method: this.builder.method,
-        headers: {
-            'Authorization': this.builder.authorization,
-            'Content-Type': this.builder.contentType
+    const inFlight = this.builder.client?.inFlightRequests
+    const cancellable = this.builder.signal != null || this.builder.timeoutMS != null
+    if (inFlight == null || this.builder.method !== 'GET' || this.builder.interceptors.length > 0 || cancellable) {
+        return fetchWithRetries(this)
+    }
+    const key = `${this.builder.authorization ?? ''} ${this.getFullURI()}`
+    let shared = inFlight.get(key)
+    if (shared == null) {
+        shared = fetchWithRetries(this).finally(() => inFlight.delete(key))
+        inFlight.set(key, shared)
+    }
+    return (await shared).clone()
+}
+
+/**
+ * Send the request, retrying it according to the retry policy of the client
+ *
+ * Rate limited requests are sent again once the Retry-After delay has elapsed. Server errors are retried with
+ * a jittered exponential backoff, but only for idempotent methods. Once the request has failed for good, the
+ * onError interceptors may return a response to recover from the error.
+ *
+ * The client is told about the lifecycle of the request through its events: request:start, rateLimited and retry
+ * for every failed attempt that is sent again, and request:end with the status, latency and number of attempts.
+ *
+ * With a response cache, a GET request whose response is still fresh is not sent at all, and an expired response is
+ * revalidated with If-None-Match: a 304 is answered with the cached response. With a rate limiter, every attempt
+ * waits for its turn, see RateLimiter.
+ *
+ * The request is aborted once its signal is aborted or its timeout has elapsed, whether it is waiting for its turn,
+ * waiting for its response or waiting to be sent again. It then fails with the abort reason, e.g. a TimeoutError.
+ * @param {Request} request - The request to send.
+ * @returns {Promise<Response>} A promise that resolves to the response of a successful request.
+ * @throws {SpotifyApiError} Will throw the error of the last attempt if the request never succeeds.
+ */
+const fetchWithRetries = async function(request) {
+    const policy = request.builder.client?.retryPolicy ?? resolveRetryPolicy()
+    const event = {
+        endpoint: request.builder.client?.endpointName ?? null,
+        method: request.builder.method,
+        path: request.builder.path
+    }
+    const startedAt = Date.now()
+    const end = (status, attempts, error = null) => {
+        emit(request, 'request:end', { ...event, status, latencyMS: Date.now() - startedAt, attempts, error })
+    }
+    const cache = request.builder.client?.cache
+    const cacheKey = cache != null && event.method === 'GET'
+        ? cache.getKey(request.getFullURI(), request.builder.authorization)
+        : null
+    const cached = cacheKey != null ? await useCache(request, () => cache.get(cacheKey)) : null
+    if (cached != null && cache.isFresh(cached)) {
+        request.builder.client.logger?.debug('Served from cache', {
+            method: event.method,
+            url: redactURL(request.getFullURI())
+        })
+        return cache.toResponse(cached)
+    }
+
+    const limiter = request.builder.client?.rateLimiter
+    const abort = createAbortSignal(request)
+    emit(request, 'request:start', event)
+    let waited = 0
+    try {
+        for (let attempt = 1; ; attempt++) {
+            const context = createContext(request, attempt, abort.signal)
+            const revalidating = cached?.etag != null
+            if (revalidating) {
+                context.headers['If-None-Match'] = cached.etag
+            }
+            try {
+                abort.signal?.throwIfAborted()
+                const release = await limiter?.acquire(limiter.getPriority(event.path), abort.signal)
+                let response = await send(request, context, revalidating).finally(release)
+                const status = response.status
+                if (revalidating && status === 304) {
+                    await useCache(request, () => cache.revalidate(cacheKey, event.path, cached))
+                    response = cache.toResponse(cached)
+                } else if (cacheKey != null && status === 200) {
+                    await useCache(request, () => cache.set(cacheKey, event.path, response))
+                }
+                end(status, attempt)
+                return response
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    limiter?.onRateLimited(error.retryAfter)
+                    emit(request, 'rateLimited', { ...event, attempt, retryAfter: error.retryAfter })
+                }
+                const delay = abort.signal?.aborted ? null : getRetryDelay(policy, error, attempt, context.method)
+                if (delay == null || attempt >= policy.maxAttempts || waited + delay > policy.maxWaitMS) {
+                    try {
+                        const response = await recover(request, error, context)
+                        end(response.status, attempt)
+                        return response
+                    } catch (finalError) {
+                        end(finalError.status ?? null, attempt, finalError)
+                        throw finalError
+                    }
+                }
+                emit(request, 'retry', { ...event, attempt, status: error.status ?? null, delayMS: delay })
+                await sleep(delay, abort.signal).catch((reason) => {
+                    end(null, attempt, reason)
+                    throw reason
+                })
+                waited += delay
+            }
         }
+    } finally {
+        abort.clear()
     }
-    if (this.builder.bodyParameters != null && !(this.builder.bodyParameters instanceof URLSearchParams)) {
-        const bodyParams = filterEmptyString(this.builder.bodyParameters)
-        options = {
-            ...options,
-            body: bodyParams
+}
+
+/**
+ * Read from or write to the response cache of a request
+ * The cache only saves requests: when its store fails, the failure is logged and the request goes on as if the
+ * response was not cached.
+ * @param {Request} request - The request.
+ * @param {function(): Promise<*>} operation - The cache operation.
+ * @returns {Promise<*>} A promise that resolves to the result of the operation, or null if it failed.
+ */
+const useCache = async function(request, operation) {
+    try {
+        return await operation()
+    } catch (error) {
+        request.builder.client.logger?.warn('Response cache failed', {
+            method: request.builder.method,
+            url: redactURL(request.getFullURI()),
+            error: error.message
+        })
+        return null
+    }
+}
+
+/**
+ * Combine the signal and the timeout of a request into the signal aborting it
+ * @param {Request} request - The request.
+ * @returns {{signal: (AbortSignal|undefined), clear: function(): void}} The signal, undefined if the request can
+ *                          be neither cancelled nor timed out, and a function releasing the timer and the listener
+ *                          once the request has completed.
+ */
+const createAbortSignal = function(request) {
+    const { signal, timeoutMS } = request.builder
+    if (signal == null && timeoutMS == null) {
+        return { signal: undefined, clear: () => {} }
+    }
+    const controller = new AbortController()
+    const onAbort = () => controller.abort(signal.reason)
+    if (signal?.aborted) {
+        onAbort()
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    const timer = timeoutMS == null ? null : setTimeout(() => {
+        controller.abort(new TimeoutError(`The request timed out after ${timeoutMS} ms.`, timeoutMS, {
+            method: request.builder.method,
+            path: request.builder.path
+        }))
+    }, timeoutMS)
+    return {
+        signal: controller.signal,
+        clear: () => {
+            clearTimeout(timer)
+            signal?.removeEventListener('abort', onAbort)
         }
     }
-    return await fetch(this.getFullURI(), options)
 }
 
-const Builder = function() {}
+/**
+ * Emit a lifecycle event on the client of a request, if it is an event emitter
+ * @param {Request} request - The request.
+ * @param {string} name - The name of the event.
+ * @param {Object} payload - The payload of the event.
+ */
+const emit = function(request, name, payload) {
+    request.builder.client?.emit?.(name, payload)
+}
+
+/**
+ * Give the onError interceptors a chance to recover from a failed request
+ * @param {Request} request - The request that failed.
+ * @param {Error} error - The error thrown by the last attempt.
+ * @param {Object} context - The context of the last attempt.
+ * @returns {Promise<Response>} A promise that resolves to the response returned by an interceptor.
+ * @throws {Error} Will throw the error again if no interceptor recovers from it.
+ */
+const recover = async function(request, error, context) {
+    for (const interceptor of getInterceptors(request)) {
+        const result = await interceptor.onError?.(error, context)
+        if (isResponse(result)) {
+            return result
+        }
+    }
+    throw error
+}
+
+/**
+ * Read the JSON body of a response
+ * Some endpoints answer with an empty body, e.g. 204 No Content once playback has started.
+ * @param {Response} response - The response.
+ * @returns {Promise<*>} A promise that resolves to the parsed body, or null if the body is empty.
+ */
+export const readJSON = async function(response) {
+    const text = await response.text()
+    return text.length > 0 ? JSON.parse(text) : null
+}
+
+const Builder = function() {
+    this.interceptors = []
+}
 
 /*
  * Create and setup for the builder object
  */
 
+Builder.prototype.withClient = function(client) {
+    this.client = client
+    return this
+}
+
 Builder.prototype.withContentType = function(contentType) {
     this.contentType = contentType
     return this
@@ -111,6 +470,25 @@ Builder.prototype.withQueryParameters = function(parameters) {
     return this
 }
 
+/**
+ * The options every endpoint accepts as its last argument
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} signal - Aborts the request, and its retries, once the signal is aborted.
+ * @property {number} timeoutMs - How long the request may take, retries included, before it is aborted with a
+ *                          TimeoutError, in milliseconds. `timeoutMS` is accepted as well.
+ */
+
+Builder.prototype.withRequestOptions = function({ signal, timeoutMs, timeoutMS } = {}) {
+    this.signal = signal
+    this.timeoutMS = timeoutMs ?? timeoutMS
+    return this
+}
+
+Builder.prototype.withInterceptor = function(interceptor) {
+    this.interceptors.push(interceptor)
+    return this
+}
+
 Builder.prototype.build = function() {
     return new Request(this)
 }
@@ -0,0 +1,85 @@
+'use strict'
+
+import { RateLimitError, ServerError } from '../errors.js'
+
+/**
+ * The default retry policy applied to every request.
+ * @type {{maxAttempts: number, maxWaitMS: number, baseDelayMS: number, maxDelayMS: number}}
+ */
+export const defaultRetryPolicy = {
+    maxAttempts: 4,
+    maxWaitMS: 60000,
+    baseDelayMS: 500,
+    maxDelayMS: 10000
+}
+
+/**
+ * Methods that can be sent again without side effects when Spotify fails to process them.
+ * @type {string[]}
+ */
+const idempotentMethods = ['GET', 'PUT', 'DELETE']
+
+/**
+ * Resolve a retry policy from the configuration of a Snodeify instance
+ * @param {Object | boolean | undefined} options - The retry options. Set to false to disable retries.
+ * @param {number} options.maxAttempts - The maximum number of attempts, including the first one.
+ * @param {number} options.maxWaitMS - The maximum time spent waiting between attempts, in milliseconds.
+ * @param {number} options.baseDelayMS - The delay before the first retry of a server error, in milliseconds.
+ *                          The delay doubles on every attempt.
+ * @param {number} options.maxDelayMS - The maximum delay between two attempts of a server error, in milliseconds.
+ * @returns {{maxAttempts: number, maxWaitMS: number, baseDelayMS: number, maxDelayMS: number}} The retry policy.
+ */
+export const resolveRetryPolicy = function(options) {
+    if (options === false) {
+        return { ...defaultRetryPolicy, maxAttempts: 1 }
+    }
+    return { ...defaultRetryPolicy, ...options }
+}
+
+/**
+ * Get how long to wait before sending a failed request again
+ * @param {Object} policy - The retry policy.
+ * @param {Error} error - The error thrown by the last attempt.
+ * @param {number} attempt - The number of the last attempt, starting at 1.
+ * @param {string} method - The HTTP method of the request.
+ * @returns {number | null} The delay in milliseconds, or null if the request should not be sent again.
+ */
+export const getRetryDelay = function(policy, error, attempt, method) {
+    if (error instanceof RateLimitError && error.retryAfter != null) {
+        return error.retryAfter * 1000
+    }
+
+    const retryable = error instanceof RateLimitError
+        || (error instanceof ServerError && idempotentMethods.includes(method))
+    if (!retryable) {
+        return null
+    }
+
+    // Full jitter keeps concurrent clients from retrying in lockstep.
+    const ceiling = Math.min(policy.maxDelayMS, policy.baseDelayMS * 2 ** (attempt - 1))
+    return Math.round(Math.random() * ceiling)
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - The time to wait, in milliseconds.
+ * @param {AbortSignal} signal - Stops waiting once aborted, if any.
+ * @returns {Promise<void>} A promise that resolves once the time has elapsed, or rejects with the abort reason.
+ */
+export const sleep = function(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason)
+            return
+        }
+        const onAbort = () => {
+            clearTimeout(timer)
+            reject(signal.reason)
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort)
+            resolve()
+        }, ms)
+        signal?.addEventListener('abort', onAbort, { once: true })
+    })
+}
@@ -0,0 +1,31 @@
+'use strict'
+
+/**
+ * Make sure a base URI ends with a slash, since request paths are appended to it as is.
+ * @param {string | undefined} uri - The base URI.
+ * @returns {string | undefined} The base URI ending with a slash.
+ */
+const withTrailingSlash = function(uri) {
+    if (uri == null || uri.endsWith('/')) {
+        return uri
+    }
+    return `${uri}/`
+}
+
+/**
+ * Resolve the transport from the configuration of a Snodeify instance
+ * @param {Object} options - The transport options.
+ * @param {function} options.fetch - The fetch implementation used to send requests. Default: the global fetch.
+ * @param {string} options.apiURI - The base URI of the Web API. Default: https://api.spotify.com/v1/
+ * @param {string} options.accountsURI - The base URI of the Accounts service. Default: https://accounts.spotify.com/
+ * @param {Object} options.dispatcher - An undici dispatcher, e.g. a ProxyAgent, passed to the global fetch.
+ * @param {Object} options.agent - An HTTP agent, passed to fetch implementations such as node-fetch.
+ * @returns {Object} The transport.
+ */
+export const resolveTransport = function(options = {}) {
+    return {
+        ...options,
+        apiURI: withTrailingSlash(options.apiURI),
+        accountsURI: withTrailingSlash(options.accountsURI)
+    }
+}
@@ -0,0 +1,116 @@
+'use strict'
+
+/**
+ * The authorization scopes of the Spotify Web API.
+ * @type {Object<string, string>}
+ */
+export const Scopes = {
+    UgcImageUpload: 'ugc-image-upload',
+    UserReadPlaybackState: 'user-read-playback-state',
+    UserModifyPlaybackState: 'user-modify-playback-state',
+    UserReadCurrentlyPlaying: 'user-read-currently-playing',
+    AppRemoteControl: 'app-remote-control',
+    Streaming: 'streaming',
+    PlaylistReadPrivate: 'playlist-read-private',
+    PlaylistReadCollaborative: 'playlist-read-collaborative',
+    PlaylistModifyPrivate: 'playlist-modify-private',
+    PlaylistModifyPublic: 'playlist-modify-public',
+    UserFollowModify: 'user-follow-modify',
+    UserFollowRead: 'user-follow-read',
+    UserReadPlaybackPosition: 'user-read-playback-position',
+    UserTopRead: 'user-top-read',
+    UserReadRecentlyPlayed: 'user-read-recently-played',
+    UserLibraryModify: 'user-library-modify',
+    UserLibraryRead: 'user-library-read',
+    UserReadEmail: 'user-read-email',
+    UserReadPrivate: 'user-read-private'
+}
+
+// Changing a playlist needs the public or the private scope, depending on the playlist
+const PlaylistModify = [Scopes.PlaylistModifyPublic, Scopes.PlaylistModifyPrivate]
+
+/**
+ * The scopes each endpoint needs, by name. An array in the list stands for scopes of which any one is enough.
+ * Endpoints missing from the map need no scope.
+ * @type {Object<string, Array<string | string[]>>}
+ */
+export const endpointScopes = {
+    getUserSavedAlbums: [Scopes.UserLibraryRead],
+    saveAlbumsForCurrentUser: [Scopes.UserLibraryModify],
+    removeUserSavedAlbums: [Scopes.UserLibraryModify],
+    checkUserSavedAlbums: [Scopes.UserLibraryRead],
+    getUserSavedAudiobooks: [Scopes.UserLibraryRead],
+    saveAudiobooksForCurrentUser: [Scopes.UserLibraryModify],
+    removeUserSavedAudiobooks: [Scopes.UserLibraryModify],
+    checkUserSavedAudiobooks: [Scopes.UserLibraryRead],
+    getUserSavedEpisodes: [Scopes.UserLibraryRead, Scopes.UserReadPlaybackPosition],
+    saveEpisodesForCurrentUser: [Scopes.UserLibraryModify],
+    removeUserSavedEpisodes: [Scopes.UserLibraryModify],
+    checkUserSavedEpisodes: [Scopes.UserLibraryRead],
+    getPlaybackState: [Scopes.UserReadPlaybackState],
+    transferPlayback: [Scopes.UserModifyPlaybackState],
+    getAvailableDevices: [Scopes.UserReadPlaybackState],
+    getCurrentlyPlayingTrack: [Scopes.UserReadCurrentlyPlaying],
+    startPlayback: [Scopes.UserModifyPlaybackState],
+    pausePlayback: [Scopes.UserModifyPlaybackState],
+    skipToNext: [Scopes.UserModifyPlaybackState],
+    skipToPrevious: [Scopes.UserModifyPlaybackState],
+    seekToPosition: [Scopes.UserModifyPlaybackState],
+    setRepeatMode: [Scopes.UserModifyPlaybackState],
+    setPlaybackVolume: [Scopes.UserModifyPlaybackState],
+    togglePlaybackShuffle: [Scopes.UserModifyPlaybackState],
+    getRecentlyPlayedTracks: [Scopes.UserReadRecentlyPlayed],
+    getUserQueue: [Scopes.UserReadCurrentlyPlaying, Scopes.UserReadPlaybackState],
+    addItemToPlaybackQueue: [Scopes.UserModifyPlaybackState],
+    changePlaylistDetails: [PlaylistModify],
+    reorderPlaylistItems: [PlaylistModify],
+    replacePlaylistItems: [PlaylistModify],
+    addItemsToPlaylist: [PlaylistModify],
+    removePlaylistItems: [PlaylistModify],
+    getCurrentUserPlaylists: [Scopes.PlaylistReadPrivate],
+    createPlaylist: [PlaylistModify],
+    addCustomPlaylistCoverImage: [Scopes.UgcImageUpload, PlaylistModify],
+    getUserSavedShows: [Scopes.UserLibraryRead],
+    saveShowsForCurrentUser: [Scopes.UserLibraryModify],
+    removeUserSavedShows: [Scopes.UserLibraryModify],
+    checkUserSavedShows: [Scopes.UserLibraryRead],
+    getUserSavedTracks: [Scopes.UserLibraryRead],
+    saveTracksForCurrentUser: [Scopes.UserLibraryModify],
+    removeUserSavedTracks: [Scopes.UserLibraryModify],
+    checkUserSavedTracks: [Scopes.UserLibraryRead],
+    getFollowedArtists: [Scopes.UserFollowRead]
+}
+
+/**
+ * Get the smallest set of scopes needed to call a list of endpoints
+ * When any one of several scopes is enough, e.g. to change public or private playlists, all of them are included.
+ * @param {Array<string | function>} methods - The endpoints, or their names.
+ * @returns {string[]} The scopes, sorted.
+ */
+export const getRequiredScopes = function(methods) {
+    const scopes = new Set()
+    for (const method of methods) {
+        const name = typeof method === 'function' ? method.name : method
+        for (const requirement of endpointScopes[name] ?? []) {
+            for (const scope of [requirement].flat()) {
+                scopes.add(scope)
+            }
+        }
+    }
+    return [...scopes].sort()
+}
+
+/**
+ * Get the scopes an endpoint needs that have not been granted
+ * @param {string | function} method - The endpoint, or its name.
+ * @param {string | string[]} granted - The granted scopes, as an array or as the space separated scope of a token.
+ * @returns {string[]} The missing scopes, empty when the endpoint can be called. When any one of several scopes
+ *                     would be enough, all of them are listed.
+ */
+export const getMissingScopes = function(method, granted) {
+    const name = typeof method === 'function' ? method.name : method
+    const grantedScopes = new Set(Array.isArray(granted) ? granted : granted.split(' ').filter(Boolean))
+    return (endpointScopes[name] ?? [])
+        .filter((requirement) => ![requirement].flat().some((scope) => grantedScopes.has(scope)))
+        .flat()
+}
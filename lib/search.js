@@ -1,7 +1,7 @@
 'use strict'
 
 import * as WebRequest from './requests/WebRequest.js'
-import { ContentType, Method, AuthorizationType } from './requests/Request.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
 
 /**
  * Search for Item
@@ -26,26 +26,28 @@ import { ContentType, Method, AuthorizationType } from './requests/Request.js'
  *                          play externally hosted content, and marks the content as playable in the
  *                          response. By default, externally hosted audio content is marked as unplayable
  *                          in the response.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} -  A Promise that resolves to the JSON object containing the information of the
  *                          search results.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const searchForItem = async (accessToken, query, type, market, limit, offset, includeExternal) => {
-    const response = await WebRequest.builder()
-        .withPath('/search')
+export const searchForItem = async function(accessToken, query, type, market, limit, offset, includeExternal, requestOptions) {
+    const response = await WebRequest.builder(this)
+        .withPath('search')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
         .withQueryParameters({
-            query,
-            type,
+            q: query,
+            type: type.join(','),
             market,
             limit,
             offset,
-            includeExternal
+            include_external: includeExternal
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
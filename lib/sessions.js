@@ -0,0 +1,96 @@
+'use strict'
+
+import { TokenManager } from './tokens.js'
+
+/**
+ * How many sessions are kept when no maximum is configured.
+ * @type {number}
+ */
+export const defaultMaxSessions = 1000
+
+/**
+ * Keep one session per user of an app
+ *
+ * A session is a lightweight view of the client: it shares the configuration of the app, its transport, interceptors,
+ * retry policy and app token, but holds the tokens of a single user and refreshes them on its own. Its endpoints are
+ * always bound to these tokens, and called without the access token argument. Sessions are created on first use, and
+ * their tokens are loaded from and saved to the token store of the app under the user ID.
+ *
+ * At most maxSessions sessions are kept, 1000 by default: the least recently used sessions are forgotten past it, and
+ * their tokens loaded again from the token store when the user comes back. Set it to Infinity to keep every session
+ * until it is deleted.
+ */
+export class SessionManager {
+    /**
+     * @param {Object} client - The client of the app.
+     * @param {Object} options - The session options.
+     * @param {number} options.maxSessions - The number of sessions kept before the least recently used are forgotten.
+     */
+    constructor(client, { maxSessions = defaultMaxSessions } = {}) {
+        this.client = client
+        this.maxSessions = maxSessions
+        this.sessions = new Map()
+    }
+
+    /**
+     * Get the session of a user, creating it if needed
+     * @param {string} userID - The ID of the user, which keys the tokens in the token store.
+     * @param {Object} tokens - The tokens of the user, if already known.
+     * @param {string} tokens.accessToken - The access token.
+     * @param {string} tokens.refreshToken - The refresh token.
+     * @param {number} tokens.expiresAt - When the access token expires, in milliseconds since the epoch.
+     * @returns {Object} The session, which has every method of the client.
+     */
+    get(userID, { accessToken, refreshToken, expiresAt } = {}) {
+        let session = this.sessions.get(userID)
+        if (session == null) {
+            session = Object.create(this.client)
+            session.userID = userID
+            session.bindsAccessToken = true
+            session.tokens = new TokenManager(session, {
+                refreshMarginMS: this.client.tokens.refreshMarginMS,
+                store: this.client.tokens.store,
+                userID
+            })
+        }
+        // Maps iterate in insertion order: moving the session to the end keeps the least recently used first.
+        this.sessions.delete(userID)
+        this.sessions.set(userID, session)
+        while (this.sessions.size > this.maxSessions) {
+            this.sessions.delete(this.sessions.keys().next().value)
+        }
+        if (accessToken || refreshToken) {
+            session.tokens.set({ accessToken, refreshToken, expiresAt }).catch((error) => {
+                this.client.logger?.warn('Saving the tokens failed', { userID, error: error.message })
+            })
+        }
+        return session
+    }
+
+    /**
+     * Tell whether a user has a session
+     * @param {string} userID - The ID of the user.
+     * @returns {boolean} True if the session exists.
+     */
+    has(userID) {
+        return this.sessions.has(userID)
+    }
+
+    /**
+     * Forget the session of a user, keeping its tokens in the token store
+     * @param {string} userID - The ID of the user.
+     */
+    delete(userID) {
+        this.sessions.delete(userID)
+    }
+
+    /**
+     * Log a user out, forgetting the session and deleting its tokens from the token store
+     * @param {string} userID - The ID of the user.
+     * @returns {Promise<void>} A promise that resolves once the tokens are deleted.
+     */
+    async logout(userID) {
+        await this.get(userID).logout()
+        this.sessions.delete(userID)
+    }
+}
@@ -1,6 +1,8 @@
 
 import * as WebRequest from './requests/WebRequest.js'
-import { AuthorizationType, ContentType, Method } from './requests/Request.js'
+import { AuthorizationType, ContentType, Method, readJSON } from './requests/Request.js'
+import { ValidationError } from './errors.js'
+import { inChunks } from './chunking.js'
 
 /**
  * Get Show
@@ -12,11 +14,12 @@ import { AuthorizationType, ContentType, Method } from './requests/Request.js'
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
  * @param {string} id - The Spotify ID for the show.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the show.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getShow = async (accessToken, market, id) => {
-    const response = await WebRequest.builder()
+export const getShow = async function(accessToken, market, id, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`shows/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -24,10 +27,11 @@ export const getShow = async (accessToken, market, id) => {
         .withQueryParameters({
             market,
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -39,25 +43,33 @@ export const getShow = async (accessToken, market, id) => {
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the shows. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the shows. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of a set of
  *                          shows.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSeveralShows = async (accessToken, market, ids) => {
-    const response = await WebRequest.builder()
-        .withPath('shows')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            market,
-            ids: ids.join(','),
-        })
-        .build()
-        .fetch()
+export const getSeveralShows = async function(accessToken, market, ids, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Show ID(s) cannot be empty.')
+    }
+
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('shows')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                market,
+                ids: chunk.join(','),
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -74,12 +86,13 @@ export const getSeveralShows = async (accessToken, market, ids) => {
  * @param {number} limit - The maximum number of episodes to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first episode to return. Default: 0 (the first object). Use with
  *                          limit to get the next set of episodes.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the pages
  *                          of episodes.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getShowEpisodes = async (accessToken, id, market, limit, offset) => {
-    const response = await WebRequest.builder()
+export const getShowEpisodes = async function(accessToken, id, market, limit, offset, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`shows/${id}/episodes`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -89,10 +102,11 @@ export const getShowEpisodes = async (accessToken, id, market, limit, offset) =>
             limit,
             offset,
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -104,12 +118,13 @@ export const getShowEpisodes = async (accessToken, id, market, limit, offset) =>
  * @param {number} limit - The maximum number of shows to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first show to return. Default: 0 (the first object). Use with
  *                          limit to get the next set of shows.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                          user's saved shows.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getUserSavedShows = async (accessToken, limit, offset) => {
-    const response = await WebRequest.builder()
+export const getUserSavedShows = async function(accessToken, limit, offset, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/shows')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -118,10 +133,11 @@ export const getUserSavedShows = async (accessToken, limit, offset) => {
             limit,
             offset,
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -129,24 +145,32 @@ export const getUserSavedShows = async (accessToken, limit, offset) => {
  *
  * Save one or more shows to the current Spotify user’s library.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the shows. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the shows. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                          save status.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const saveShowsForCurrentUser = async (accessToken, ids) => {
-    const response = await WebRequest.builder()
-        .withPath('me/shows')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.PUT)
-        .withQueryParameters({
-            ids: ids.join(','),
-        })
-        .build()
-        .fetch()
+export const saveShowsForCurrentUser = async function(accessToken, ids, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Show ID(s) cannot be empty.')
+    }
+
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/shows')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.PUT)
+            .withQueryParameters({
+                ids: chunk.join(','),
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -154,27 +178,35 @@ export const saveShowsForCurrentUser = async (accessToken, ids) => {
  *
  * Delete one or more shows from current Spotify user’s library.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the shows. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the shows. Sent 50 IDs per request.
  * @param {market} market - An ISO-3166-1 alpha-2 country code. If a country code is specified, only content
  *                          that is available in that market will be returned.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                          remove status.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const removeUserSavedShows = async (accessToken, ids, market) => {
-    const response = await WebRequest.builder()
-        .withPath('me/shows')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.DELETE)
-        .withQueryParameters({
-            ids: ids.join(','),
-            market,
-        })
-        .build()
-        .fetch()
+export const removeUserSavedShows = async function(accessToken, ids, market, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Show ID(s) cannot be empty.')
+    }
+
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/shows')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.DELETE)
+            .withQueryParameters({
+                ids: chunk.join(','),
+                market,
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -182,22 +214,30 @@ export const removeUserSavedShows = async (accessToken, ids, market) => {
  *
  * Check if one or more shows is already saved in the current Spotify user’s library.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the shows. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the shows. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                          shows in an array of booleans.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const checkUserSavedShows = async (accessToken, ids) => {
-    const response = await WebRequest.builder()
-        .withPath('me/shows/contains')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: ids.join(','),
-        })
-        .build()
-        .fetch()
+export const checkUserSavedShows = async function(accessToken, ids, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Show ID(s) cannot be empty.')
+    }
+
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/shows/contains')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(','),
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
@@ -0,0 +1,58 @@
+'use strict'
+
+/**
+ * How long a login can stay pending when no time to live is configured, in milliseconds.
+ * @type {number}
+ */
+export const defaultStateTTLMS = 10 * 60 * 1000
+
+/**
+ * Keep the state of pending logins in memory
+ *
+ * A state store keeps what a login needs once the user is redirected back, keyed by the state sent to the
+ * authorization page. Any object with the same two methods can replace it, e.g. to share pending logins between
+ * several processes:
+ * - `set(state, login)` saves a pending login, and may return a promise.
+ * - `take(state)` returns the pending login and forgets it, or null if there is none, and may return a promise.
+ */
+export class MemoryStateStore {
+    /**
+     * @param {Object} options - The store options.
+     * @param {number} options.ttlMS - How long a login can stay pending before its state is refused.
+     */
+    constructor({ ttlMS = defaultStateTTLMS } = {}) {
+        this.ttlMS = ttlMS
+        this.logins = new Map()
+    }
+
+    /**
+     * Save a pending login
+     * @param {string} state - The state sent to the authorization page.
+     * @param {Object} login - What the login needs once the user is redirected back, e.g. its code verifier.
+     */
+    set(state, login) {
+        this.forgetExpired()
+        this.logins.set(state, { login, expiresAt: Date.now() + this.ttlMS })
+    }
+
+    /**
+     * Take a pending login, which cannot be taken again
+     * @param {string} state - The state returned in the redirect.
+     * @returns {Object | null} The pending login, or null if the state is unknown or has expired.
+     */
+    take(state) {
+        this.forgetExpired()
+        const entry = this.logins.get(state)
+        this.logins.delete(state)
+        return entry?.login ?? null
+    }
+
+    forgetExpired() {
+        const now = Date.now()
+        for (const [state, { expiresAt }] of this.logins) {
+            if (expiresAt <= now) {
+                this.logins.delete(state)
+            }
+        }
+    }
+}
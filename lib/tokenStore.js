@@ -0,0 +1,106 @@
+'use strict'
+
+import { randomUUID } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname, resolve } from 'node:path'
+
+// The pending write of each file, keyed by its resolved path, so that the stores of the same file take turns.
+const writes = new Map()
+
+/**
+ * Keep tokens in memory
+ *
+ * A token store keeps the tokens of each user, keyed by an ID of your choosing. Any object with the same three
+ * methods can replace it, e.g. to keep the tokens in a database; each method may return a promise:
+ * - `get(userID)` returns the saved tokens of the user, or null if there are none.
+ * - `set(userID, tokens)` saves the tokens of the user.
+ * - `delete(userID)` forgets the tokens of the user.
+ *
+ * The saved tokens are plain objects with accessToken, refreshToken, scope, issuedAt and expiresAt.
+ */
+export class MemoryTokenStore {
+    constructor() {
+        this.tokens = new Map()
+    }
+
+    get(userID) {
+        return this.tokens.get(userID) ?? null
+    }
+
+    set(userID, tokens) {
+        this.tokens.set(userID, tokens)
+    }
+
+    delete(userID) {
+        this.tokens.delete(userID)
+    }
+}
+
+/**
+ * Keep tokens in a JSON file
+ *
+ * The tokens of every user are kept in a single file. Writes are atomic: the file is written next to the previous
+ * one, then renamed over it, so a crash never leaves a truncated file behind. Writes to the same file are applied one
+ * after the other, even from different stores of this process; other processes must not write the file.
+ */
+export class FileTokenStore {
+    /**
+     * @param {string} path - The path of the JSON file, created on the first write.
+     */
+    constructor(path) {
+        this.path = path
+    }
+
+    async get(userID) {
+        await writes.get(resolve(this.path))?.catch(() => {})
+        const tokens = await this.read()
+        return tokens[userID] ?? null
+    }
+
+    set(userID, tokens) {
+        return this.update((saved) => ({ ...saved, [userID]: tokens }))
+    }
+
+    delete(userID) {
+        return this.update(({ [userID]: _, ...saved }) => saved)
+    }
+
+    /**
+     * Read the tokens of every user
+     * @returns {Promise<Object>} A promise that resolves to the tokens keyed by user, empty if the file is missing.
+     */
+    async read() {
+        try {
+            return JSON.parse(await readFile(this.path, 'utf8'))
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {}
+            }
+            throw error
+        }
+    }
+
+    /**
+     * Change the tokens of every user, once the previous writes are done
+     * @param {function(Object): Object} change - Return the new tokens keyed by user, given the saved ones.
+     * @returns {Promise<void>} A promise that resolves once the file is written.
+     */
+    update(change) {
+        const key = resolve(this.path)
+        const write = (writes.get(key) ?? Promise.resolve()).catch(() => {}).then(async () => {
+            const tokens = change(await this.read())
+            // Unique to this write: another store of the same file must not rename it.
+            const temporaryPath = `${this.path}.${randomUUID()}.tmp`
+            await mkdir(dirname(this.path), { recursive: true })
+            await writeFile(temporaryPath, JSON.stringify(tokens, null, 2), { mode: 0o600 })
+            await rename(temporaryPath, this.path)
+        })
+        writes.set(key, write)
+        write.catch(() => {}).then(() => {
+            if (writes.get(key) === write) {
+                writes.delete(key)
+            }
+        })
+        return write
+    }
+}
@@ -0,0 +1,245 @@
+'use strict'
+
+import { requestClientCredentialsToken } from './auth.js'
+import { AuthenticationError } from './errors.js'
+
+/**
+ * How long before its expiry an access token is refreshed when no margin is configured, in milliseconds.
+ * @type {number}
+ */
+export const defaultRefreshMarginMS = 60 * 1000
+
+/**
+ * Keep track of the tokens of a client
+ *
+ * The manager records when the access token was issued and when it expires, refreshes it shortly before it expires,
+ * and makes sure only one refresh is in flight at a time: every caller waiting for a fresh token shares it.
+ */
+export class TokenManager {
+    /**
+     * @param {Object} client - The client refreshing the tokens, with a getRefreshToken method.
+     * @param {Object} options - The initial tokens and the refresh options.
+     * @param {string} options.accessToken - The access token, if one has already been issued.
+     * @param {string} options.refreshToken - The refresh token, if one has already been issued.
+     * @param {number} options.expiresAt - When the access token expires, in milliseconds since the epoch.
+     * @param {number} options.refreshMarginMS - How long before its expiry the access token is refreshed.
+     * @param {Object} options.store - The token store the tokens are loaded from and saved to, if any.
+     * @param {string} options.userID - The key of the tokens in the token store.
+     */
+    constructor(client, {
+        accessToken,
+        refreshToken,
+        expiresAt,
+        refreshMarginMS = defaultRefreshMarginMS,
+        store = null,
+        userID = null
+    } = {}) {
+        this.client = client
+        this.accessToken = accessToken
+        this.refreshToken = refreshToken
+        this.issuedAt = accessToken ? Date.now() : null
+        this.expiresAt = expiresAt ?? null
+        this.refreshMarginMS = refreshMarginMS
+        this.store = store
+        this.userID = userID
+        this.refreshing = null
+        this.loading = null
+    }
+
+    /**
+     * Load the tokens saved in the token store, once
+     * Tokens set before they are loaded, e.g. through the config, take precedence over the saved ones.
+     * @returns {Promise<void>} A promise that resolves once the tokens are loaded.
+     */
+    load() {
+        if (this.loading == null) {
+            this.loading = Promise.resolve(this.store?.get(this.userID)).then((saved) => {
+                if (saved != null && !this.accessToken && !this.refreshToken) {
+                    this.accessToken = saved.accessToken
+                    this.refreshToken = saved.refreshToken
+                    this.scope = saved.scope
+                    this.issuedAt = saved.issuedAt ?? null
+                    this.expiresAt = saved.expiresAt ?? null
+                }
+            })
+        }
+        return this.loading
+    }
+
+    /**
+     * Save the tokens to the token store, if any
+     * @returns {Promise<void>} A promise that resolves once the tokens are saved.
+     */
+    async save() {
+        await this.store?.set(this.userID, {
+            accessToken: this.accessToken,
+            refreshToken: this.refreshToken,
+            scope: this.scope,
+            issuedAt: this.issuedAt,
+            expiresAt: this.expiresAt
+        })
+    }
+
+    /**
+     * Forget the tokens, and delete them from the token store, if any
+     * @returns {Promise<void>} A promise that resolves once the tokens are deleted.
+     */
+    async clear() {
+        this.accessToken = undefined
+        this.refreshToken = undefined
+        this.scope = undefined
+        this.issuedAt = null
+        this.expiresAt = null
+        await this.store?.delete(this.userID)
+    }
+
+    /**
+     * Record the tokens returned by the accounts service, and save them to the token store
+     * @param {Object} tokens - The token response, with access_token, expires_in, and optionally refresh_token
+     *                          and scope. A missing refresh token keeps the previous one.
+     * @returns {Promise<TokenManager>} A promise that resolves to the manager once the tokens are saved.
+     */
+    async update(tokens) {
+        this.accessToken = tokens.access_token
+        this.refreshToken = tokens.refresh_token ?? this.refreshToken
+        this.scope = tokens.scope ?? this.scope
+        this.issuedAt = Date.now()
+        this.expiresAt = tokens.expires_in != null ? this.issuedAt + tokens.expires_in * 1000 : null
+        await this.save()
+        return this
+    }
+
+    /**
+     * Record tokens issued earlier, whose scopes are unknown, and save them to the token store
+     * @param {Object} tokens - The tokens.
+     * @param {string} tokens.accessToken - The access token.
+     * @param {string} tokens.refreshToken - The refresh token.
+     * @param {number} tokens.expiresAt - When the access token expires, in milliseconds since the epoch.
+     * @returns {Promise<TokenManager>} A promise that resolves to the manager once the tokens are saved.
+     */
+    async set({ accessToken, refreshToken, expiresAt }) {
+        this.accessToken = accessToken
+        this.refreshToken = refreshToken
+        this.scope = undefined
+        this.issuedAt = Date.now()
+        this.expiresAt = expiresAt ?? null
+        await this.save()
+        return this
+    }
+
+    /**
+     * Set an access token whose expiry and scopes are unknown
+     * @param {string} accessToken - The access token.
+     */
+    setAccessToken(accessToken) {
+        this.accessToken = accessToken
+        this.scope = undefined
+        this.issuedAt = accessToken ? Date.now() : null
+        this.expiresAt = null
+    }
+
+    /**
+     * Tell whether the access token has expired, or is about to
+     * @returns {boolean} True if the access token should be refreshed before it is used.
+     */
+    isExpiring() {
+        return this.expiresAt != null && Date.now() >= this.expiresAt - this.refreshMarginMS
+    }
+
+    /**
+     * The grant the access token is refreshed with
+     * @type {string}
+     */
+    get grantType() {
+        return 'refresh_token'
+    }
+
+    /**
+     * Tell whether the access token can be refreshed
+     * @returns {boolean} True if a refresh token is known.
+     */
+    canRefresh() {
+        return Boolean(this.refreshToken)
+    }
+
+    /**
+     * Request new tokens from the accounts service, and record them
+     * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
+     * @returns {Promise<Object>} A promise that resolves to the token response.
+     */
+    requestTokens(requestOptions) {
+        return this.client.getRefreshToken(this.refreshToken, requestOptions)
+    }
+
+    /**
+     * Get an access token that is not about to expire, refreshing it first if needed
+     * @param {RequestOptions} requestOptions - The options of the refresh request, when the token is refreshed.
+     * @returns {Promise<string>} A promise that resolves to the access token.
+     */
+    async getAccessToken(requestOptions) {
+        await this.load()
+        if (this.refreshing != null) {
+            return this.refreshing
+        }
+        if ((!this.accessToken || this.isExpiring()) && this.canRefresh()) {
+            return this.refresh(undefined, requestOptions)
+        }
+        return this.accessToken
+    }
+
+    /**
+     * Refresh the access token
+     *
+     * Concurrent calls share the refresh in flight. When the stale token that was rejected has already been
+     * replaced by a token that is still valid, that token is returned without refreshing again. Once refreshed, the
+     * client emits a tokenRefreshed event with the user ID, the grant type and the new expiry.
+     * @param {string} staleToken - The access token that was rejected, if any.
+     * @param {RequestOptions} requestOptions - The options of the refresh request, shared by the concurrent calls.
+     * @returns {Promise<string>} A promise that resolves to the new access token.
+     * @throws {AuthenticationError} Will throw if no refresh token is known.
+     */
+    refresh(staleToken, requestOptions) {
+        if (this.refreshing != null) {
+            return this.refreshing
+        }
+        if (staleToken != null && staleToken !== this.accessToken && !this.isExpiring()) {
+            return Promise.resolve(this.accessToken)
+        }
+        if (!this.canRefresh()) {
+            return Promise.reject(new AuthenticationError('The access token cannot be refreshed.'))
+        }
+        this.refreshing = this.requestTokens(requestOptions)
+            .then(() => {
+                this.client.emit?.('tokenRefreshed', {
+                    userID: this.userID,
+                    grantType: this.grantType,
+                    expiresAt: this.expiresAt
+                })
+                return this.accessToken
+            })
+            .finally(() => {
+                this.refreshing = null
+            })
+        return this.refreshing
+    }
+}
+
+/**
+ * Keep track of the app token of a client, obtained with the Client Credentials grant
+ *
+ * App tokens are not tied to a user and come without a refresh token: a new one is requested with the client ID
+ * and secret whenever the previous one is about to expire.
+ */
+export class ClientCredentialsManager extends TokenManager {
+    get grantType() {
+        return 'client_credentials'
+    }
+
+    canRefresh() {
+        return Boolean(this.client.clientID && this.client.clientSecret)
+    }
+
+    requestTokens(requestOptions) {
+        return requestClientCredentialsToken.call(this.client, requestOptions)
+    }
+}
@@ -1,6 +1,8 @@
 
 import * as WebRequest from './requests/WebRequest.js'
-import { AuthorizationType, ContentType, Method } from './requests/Request.js'
+import { AuthorizationType, ContentType, Method, readJSON } from './requests/Request.js'
+import { ValidationError } from './errors.js'
+import { inChunks } from './chunking.js'
 
 /**
  * Get Track
@@ -12,11 +14,12 @@ import { AuthorizationType, ContentType, Method } from './requests/Request.js'
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the track.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getTrack = async (accessToken, id, market) => {
-    const response = await WebRequest.builder()
+export const getTrack = async function(accessToken, id, market, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`tracks/${id}`)
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -24,10 +27,11 @@ export const getTrack = async (accessToken, id, market) => {
         .withQueryParameters({
             market
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -39,25 +43,33 @@ export const getTrack = async (accessToken, id, market) => {
  *                          that is available in that market will be returned.
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Maximum: 100 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of a set of
  *                          tracks.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSeveralTracks = async (accessToken, ids, market) => {
-    const response = await WebRequest.builder()
-        .withPath('tracks')
-        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: ids.join(','),
-            market
-        })
-        .build()
-        .fetch()
+export const getSeveralTracks = async function(accessToken, ids, market, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Track ID(s) cannot be empty.')
+    }
 
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('tracks')
+            .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(','),
+                market
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -72,12 +84,13 @@ export const getSeveralTracks = async (accessToken, ids, market) => {
  * @param {number} limit - The maximum number of tracks to return. Default: 20. Minimum: 1. Maximum: 50.
  * @param {number} offset - The index of the first track to return. Default: 0 (the first object). Use with
  *                          limit to get the next set of tracks.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the pages
  *                          of tracks.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getUserSavedTracks = async (accessToken, market, limit = 20, offset = 0) => {
-    const response = await WebRequest.builder()
+export const getUserSavedTracks = async function(accessToken, market, limit = 20, offset = 0, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('me/tracks')
         .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
         .withContentType(ContentType.ApplicationJSON)
@@ -87,10 +100,11 @@ export const getUserSavedTracks = async (accessToken, market, limit = 20, offset
             limit,
             offset
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -98,24 +112,32 @@ export const getUserSavedTracks = async (accessToken, market, limit = 20, offset
  *
  * Save one or more tracks to the current user's 'Your Music' library.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the pages
  *                          of tracks.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const saveTracksForCurrentUser = async (accessToken, ids) => {
-    const response = await WebRequest.builder()
-        .withPath('me/tracks')
-        .withAccessToken(`${AuthorizationType.Bearer} ${ accessToken }`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.PUT)
-        .withBodyParameters({
-            ids: ids.join(',')
-        })
-        .build()
-        .fetch()
+export const saveTracksForCurrentUser = async function(accessToken, ids, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Track ID(s) cannot be empty.')
+    }
+
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/tracks')
+            .withAccessToken(`${AuthorizationType.Bearer} ${ accessToken }`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.PUT)
+            .withBodyParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -123,24 +145,32 @@ export const saveTracksForCurrentUser = async (accessToken, ids) => {
  *
  * Remove one or more tracks from the current user's 'Your Music' library.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the tracks
  *                          removed
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const removeUserSavedTracks = async (accessToken, ids) => {
-    const response = await WebRequest.builder()
-        .withPath('me/tracks')
-        .withAccessToken(`${AuthorizationType.Bearer} ${ accessToken }`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.DELETE)
-        .withBodyParameters({
-            ids: ids.join(',')
-        })
-        .build()
-        .fetch()
+export const removeUserSavedTracks = async function(accessToken, ids, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Track ID(s) cannot be empty.')
+    }
+
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/tracks')
+            .withAccessToken(`${AuthorizationType.Bearer} ${ accessToken }`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.DELETE)
+            .withBodyParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -148,24 +178,32 @@ export const removeUserSavedTracks = async (accessToken, ids) => {
  *
  * Check if one or more tracks is already saved in the current Spotify user's 'Your Music' library.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Maximum: 50 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Sent 50 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information if the tracks
  *                          are present in array of boolean.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const checkUserSavedTracks = async (accessToken, ids) => {
-    const response = await WebRequest.builder()
-        .withPath('me/tracks/contains')
-        .withAccessToken(`${ AuthorizationType.Bearer } ${ accessToken }`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: ids.join(',')
-        })
-        .build()
-        .fetch()
+export const checkUserSavedTracks = async function(accessToken, ids, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Track ID(s) cannot be empty.')
+    }
 
-    return response.json()
+    return inChunks.call(this, ids, 50, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath('me/tracks/contains')
+            .withAccessToken(`${ AuthorizationType.Bearer } ${ accessToken }`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
+
+        return readJSON(response)
+    })
 }
 
 /**
@@ -173,24 +211,32 @@ export const checkUserSavedTracks = async (accessToken, ids) => {
  *
  * Get audio features for multiple track based on their Spotify IDs.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
- * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Maximum: 100 IDs.
+ * @param {string[]} ids - A comma-separated list of the Spotify IDs for the tracks. Sent 100 IDs per request.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                          track's audio features
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getSeveralTrackAudioFeatures = async (accessToken, ids) => {
-    const response = await WebRequest.builder()
-        .withPath(`audio-features`)
-        .withAccessToken(`${ AuthorizationType.Bearer } ${ accessToken }`)
-        .withContentType(ContentType.ApplicationJSON)
-        .withMethod(Method.GET)
-        .withQueryParameters({
-            ids: ids.join(',')
-        })
-        .build()
-        .fetch()
+export const getSeveralTrackAudioFeatures = async function(accessToken, ids, requestOptions) {
+    if (ids.length < 1) {
+        throw new ValidationError('Track ID(s) cannot be empty.')
+    }
+
+    return inChunks.call(this, ids, 100, async (chunk) => {
+        const response = await WebRequest.builder(this)
+            .withPath(`audio-features`)
+            .withAccessToken(`${ AuthorizationType.Bearer } ${ accessToken }`)
+            .withContentType(ContentType.ApplicationJSON)
+            .withMethod(Method.GET)
+            .withQueryParameters({
+                ids: chunk.join(',')
+            })
+            .withRequestOptions(requestOptions)
+            .build()
+            .fetch()
 
-    return response.json()
+        return readJSON(response)
+    })
 }
 
 /**
@@ -199,20 +245,22 @@ export const getSeveralTrackAudioFeatures = async (accessToken, ids) => {
  * Get audio feature information for a single track identified by its unique Spotify ID.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The Spotify ID for the track.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                          audio features of one track.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getTrackAudioFeatures = async (accessToken, id) => {
-    const response = await WebRequest.builder()
+export const getTrackAudioFeatures = async function(accessToken, id, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`audio-features/${ id }`)
         .withAccessToken(`${ AuthorizationType.Bearer } ${ accessToken }`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -222,20 +270,22 @@ export const getTrackAudioFeatures = async (accessToken, id) => {
  * track's structure and musical content, including rhythm, pitch, and timbre.
  * @param {string} accessToken - The access token for authentication with the Spotify API.
  * @param {string} id - The Spotify ID for the track.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                          audio analysis for one track.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getTrackAudioAnalysis = async (accessToken, id) => {
-    const response = await WebRequest.builder()
+export const getTrackAudioAnalysis = async function(accessToken, id, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath(`audio-analysis/${ id }`)
         .withAccessToken(`${ AuthorizationType.Bearer } ${ accessToken }`)
         .withContentType(ContentType.ApplicationJSON)
         .withMethod(Method.GET)
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
 
 /**
@@ -361,12 +411,13 @@ export const getTrackAudioAnalysis = async (accessToken, id) => {
  *                          If a valid user access token is specified in the request header, the country
  *                          associated with the user account will take priority over this parameter.
  * @param {number} limit - The maximum number of tracks to return. Default: 20. Minimum: 1. Maximum: 100.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
  * @returns {Promise<*>} - A Promise that resolves to the JSON object containing the information of the
  *                          set of recommendations.
- * @throws {Error} - Will throw an error if there's a networking issue.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
  */
-export const getRecommendations = async (accessToken, options, market, limit) => {
-    const response = await WebRequest.builder()
+export const getRecommendations = async function(accessToken, options, market, limit, requestOptions) {
+    const response = await WebRequest.builder(this)
         .withPath('recommendations')
         .withAccessToken(`${ AuthorizationType.Bearer } ${ accessToken }`)
         .withContentType(ContentType.ApplicationJSON)
@@ -376,8 +427,9 @@ export const getRecommendations = async (accessToken, options, market, limit) =>
             market,
             limit,
         })
+        .withRequestOptions(requestOptions)
         .build()
         .fetch()
 
-    return response.json()
+    return readJSON(response)
 }
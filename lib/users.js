@@ -0,0 +1,34 @@
+'use strict'
+
+import * as WebRequest from './requests/WebRequest.js'
+import { ContentType, Method, AuthorizationType, readJSON } from './requests/Request.js'
+
+/**
+ * Get Followed Artists
+ * Get the current user's followed artists.
+ * @async
+ * @param {string} accessToken - The access token for authentication with the Spotify API.
+ * @param {string | null} after - The last artist ID retrieved from the previous request.
+ * @param {number} limit - The maximum number of items to return. Default: 20. Minimum: 1. Maximum: 50.
+ * @param {RequestOptions} requestOptions - The options of the request, e.g. a signal to cancel it or a timeout.
+ * @returns {Promise<Object>} - A promise that resolves to the JSON object containing the cursor-based paging
+ *                          of the followed artists.
+ * @throws {SpotifyApiError} - Will throw an error if the API responds with an error status.
+ */
+export const getFollowedArtists = async function(accessToken, after = null, limit = 20, requestOptions) {
+    const response = await WebRequest.builder(this)
+        .withPath('me/following')
+        .withAccessToken(`${AuthorizationType.Bearer} ${accessToken}`)
+        .withContentType(ContentType.ApplicationJSON)
+        .withMethod(Method.GET)
+        .withQueryParameters({
+            type: 'artist',
+            after,
+            limit
+        })
+        .withRequestOptions(requestOptions)
+        .build()
+        .fetch()
+
+    return readJSON(response)
+}
@@ -0,0 +1,177 @@
+import { expect } from 'chai'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import Snodeify, { createJSONLogger, FileCacheStore, MemoryCacheStore, ResponseCache } from '../index.js'
+
+const etagFetch = (calls, etag = '"v1"') => async (uri, options) => {
+    calls.push({ uri, ifNoneMatch: options.headers['If-None-Match'] })
+    if (options.headers['If-None-Match'] === etag) {
+        return new Response(null, { status: 304, headers: { ETag: etag } })
+    }
+    return new Response(JSON.stringify({ uri }), { status: 200, headers: { 'Content-Type': 'application/json', ETag: etag } })
+}
+
+describe('Response cache', () => {
+    it('Should serve fresh responses without sending requests', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            transport: { fetch: etagFetch(calls) },
+            cache: new ResponseCache()
+        })
+
+        const first = await snodeify.getAlbum('album')
+        const second = await snodeify.getAlbum('album')
+        await snodeify.getAlbum('album', 'SE')
+
+        expect(second).to.deep.equal(first)
+        expect(calls).to.have.lengthOf(2)
+    })
+
+    it('Should revalidate expired responses with their ETag', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            transport: { fetch: etagFetch(calls) },
+            cache: new ResponseCache({ rules: [{ pattern: 'albums/*', ttlMS: 0 }] })
+        })
+
+        const first = await snodeify.getAlbum('album')
+        const second = await snodeify.getAlbum('album')
+
+        expect(second).to.deep.equal(first)
+        expect(calls.map((call) => call.ifNoneMatch)).to.deep.equal([undefined, '"v1"'])
+    })
+
+    it('Should keep the responses of each user apart', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: etagFetch(calls) }, cache: new ResponseCache() })
+
+        await snodeify.forUser('alice', { accessToken: 'alice' }).getAlbum('album')
+        await snodeify.forUser('bob', { accessToken: 'bob' }).getAlbum('album')
+        await snodeify.forUser('alice').getAlbum('album')
+
+        expect(calls).to.have.lengthOf(2)
+    })
+
+    it('Should not serve the responses of a previous access token', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            transport: { fetch: etagFetch(calls) },
+            cache: new ResponseCache({ defaultTTLMS: 60000 })
+        })
+
+        snodeify.setAccessToken('alice')
+        await snodeify.getUserSavedTracks()
+        snodeify.setAccessToken('bob')
+        await snodeify.getUserSavedTracks()
+
+        expect(calls).to.have.lengthOf(2)
+    })
+
+    it('Should return the response when the cache store fails', async () => {
+        const calls = []
+        const ends = []
+        const lines = []
+        const store = { get: async () => null, set: async () => { throw new Error('The disk is full.') } }
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            transport: { fetch: etagFetch(calls) },
+            cache: new ResponseCache({ store }),
+            logger: createJSONLogger({ level: 'warn', write: (line) => lines.push(JSON.parse(line)) })
+        })
+        snodeify.on('request:end', (event) => ends.push(event))
+
+        const album = await snodeify.getAlbum('album')
+
+        expect(album.uri).to.include('/albums/album')
+        expect(calls).to.have.lengthOf(1)
+        expect(ends.map((event) => event.status)).to.deep.equal([200])
+        expect(lines).to.have.lengthOf(1)
+        expect(lines[0]).to.deep.include({ level: 'warn', error: 'The disk is full.' })
+    })
+
+    it('Should not cache requests other than GET', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            transport: { fetch: etagFetch(calls) },
+            cache: new ResponseCache({ defaultTTLMS: 60000 })
+        })
+
+        await snodeify.saveAlbumsForCurrentUser(['album'])
+        await snodeify.saveAlbumsForCurrentUser(['album'])
+
+        expect(calls).to.have.lengthOf(2)
+    })
+
+    it('Should keep the Get Several responses of the catalog by default', () => {
+        const cache = new ResponseCache()
+
+        expect(cache.getTTL('albums')).to.equal(60 * 60 * 1000)
+        expect(cache.getTTL('tracks')).to.equal(60 * 60 * 1000)
+        expect(cache.getTTL('albums/abacab/tracks')).to.equal(60 * 60 * 1000)
+        expect(cache.getTTL('albumsx')).to.equal(0)
+    })
+
+    it('Should match the TTL rules in order', () => {
+        const cache = new ResponseCache({
+            rules: [{ pattern: 'artists/*/top-tracks', ttlMS: 1 }, { pattern: 'artists/**', ttlMS: 2 }, { pattern: /^me\//, ttlMS: 3 }]
+        })
+
+        expect(cache.getTTL('artists/queen/top-tracks')).to.equal(1)
+        expect(cache.getTTL('artists/queen/albums')).to.equal(2)
+        expect(cache.getTTL('me/tracks')).to.equal(3)
+        expect(cache.getTTL('markets')).to.equal(0)
+    })
+
+    it('Should evict the least recently used entries from memory', () => {
+        const store = new MemoryCacheStore({ maxEntries: 2 })
+
+        store.set('a', 1)
+        store.set('b', 2)
+        store.get('a')
+        store.set('c', 3)
+
+        expect(store.get('a')).to.equal(1)
+        expect(store.get('b')).to.equal(null)
+        expect(store.get('c')).to.equal(3)
+    })
+
+    it('Should keep the entries in a directory', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'snodeify-cache-'))
+        try {
+            const calls = []
+            const cache = () => new ResponseCache({ store: new FileCacheStore(directory) })
+            const fetch = etagFetch(calls)
+
+            await Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch }, cache: cache() }).getAvailableMarkets()
+            const markets = await Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch }, cache: cache() })
+                .getAvailableMarkets()
+
+            expect(markets.uri).to.equal('https://api.spotify.com/v1/markets')
+            expect(calls).to.have.lengthOf(1)
+        } finally {
+            await rm(directory, { recursive: true, force: true })
+        }
+    })
+
+    it('Should write the same entry twice at once', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'snodeify-cache-'))
+        try {
+            const store = new FileCacheStore(directory)
+
+            await Promise.all([store.set('key', { body: 'first' }), store.set('key', { body: 'second' })])
+
+            expect(['first', 'second']).to.include((await store.get('key')).body)
+        } finally {
+            await rm(directory, { recursive: true, force: true })
+        }
+    })
+})
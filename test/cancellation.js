@@ -0,0 +1,153 @@
+import { expect } from 'chai'
+import Snodeify, { getAlbum, TimeoutError } from '../index.js'
+
+const originalFetch = globalThis.fetch
+
+// Like most fetch implementations, reject aborted requests with an AbortError of its own.
+const hangingFetch = (calls) => (uri, options) => new Promise((_, reject) => {
+    calls.push(uri)
+    options.signal?.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')))
+})
+
+describe('Cancellation', () => {
+    afterEach(() => {
+        globalThis.fetch = originalFetch
+    })
+
+    it('Should fail with a TimeoutError once the timeout has elapsed', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: hangingFetch(calls) } })
+
+        const error = await snodeify.getAlbum('album', 'SE', { timeoutMs: 10 }).catch((error) => error)
+
+        expect(error).to.be.instanceOf(TimeoutError)
+        expect(error).to.deep.include({ timeoutMS: 10, method: 'GET', path: 'albums/album' })
+        expect(calls).to.have.lengthOf(1)
+    })
+
+    it('Should accept the timeout spelled timeoutMS', async () => {
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: hangingFetch([]) } })
+
+        const error = await snodeify.getAlbum('album', 'SE', { timeoutMS: 10 }).catch((error) => error)
+
+        expect(error).to.be.instanceOf(TimeoutError)
+    })
+
+    it('Should abort a request when its signal is aborted', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: hangingFetch(calls) } })
+        const controller = new AbortController()
+
+        const search = snodeify.searchForItem('abacab', ['track'], undefined, undefined, undefined, undefined, {
+            signal: controller.signal
+        })
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        controller.abort()
+        const error = await search.catch((error) => error)
+
+        expect(error.name).to.equal('AbortError')
+        expect(calls).to.have.lengthOf(1)
+    })
+
+    it('Should not send requests whose signal is already aborted', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: hangingFetch(calls) } })
+
+        const error = await snodeify.getAlbum('album', '', { signal: AbortSignal.abort() }).catch((error) => error)
+
+        expect(error.name).to.equal('AbortError')
+        expect(calls).to.have.lengthOf(0)
+    })
+
+    it('Should stop waiting to retry once the timeout has elapsed', async () => {
+        const calls = []
+        const fetch = async (uri) => {
+            calls.push(uri)
+            return new Response('{}', { status: 503 })
+        }
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            retry: { baseDelayMS: 5000, maxDelayMS: 5000 },
+            transport: { fetch }
+        })
+        const startedAt = Date.now()
+
+        const error = await snodeify.getArtist('artist', { timeoutMs: 20 }).catch((error) => error)
+
+        expect(error).to.be.instanceOf(TimeoutError)
+        expect(Date.now() - startedAt).to.be.below(1000)
+        expect(calls.length).to.be.at.most(2)
+    })
+
+    it('Should leave the rate limiter queue once aborted', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            rateLimit: { maxInFlight: 1 },
+            transport: { fetch: hangingFetch(calls) }
+        })
+
+        const first = snodeify.getAlbum('first', '', { timeoutMs: 50 }).catch((error) => error)
+        const second = await snodeify.getAlbum('second', '', { timeoutMs: 10 }).catch((error) => error)
+
+        expect(second).to.be.instanceOf(TimeoutError)
+        expect(calls).to.have.lengthOf(1)
+        expect(await first).to.be.instanceOf(TimeoutError)
+        expect(snodeify.rateLimiter.queue).to.have.lengthOf(0)
+    })
+
+    it('Should accept the options in the standalone endpoints', async () => {
+        const calls = []
+        globalThis.fetch = hangingFetch(calls)
+
+        const error = await getAlbum('token', 'album', '', { timeoutMs: 10 }).catch((error) => error)
+
+        expect(error).to.be.instanceOf(TimeoutError)
+    })
+
+    it('Should time out the request of an app token', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ clientID: 'id', clientSecret: 'secret', transport: { fetch: hangingFetch(calls) } })
+
+        const error = await snodeify.getClientCredentialsToken({ timeoutMs: 10 }).catch((error) => error)
+
+        expect(error).to.be.instanceOf(TimeoutError)
+        expect(calls).to.have.lengthOf(1)
+    })
+
+    it('Should time out the refresh of the token of a bound call', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            clientID: 'id',
+            clientSecret: 'secret',
+            refreshToken: 'refresh',
+            transport: { fetch: hangingFetch(calls) }
+        })
+
+        const error = await snodeify.getAlbum('album', 'SE', { timeoutMs: 10 }).catch((error) => error)
+
+        expect(error).to.be.instanceOf(TimeoutError)
+        expect(calls).to.have.lengthOf(1)
+        expect(calls[0]).to.contain('accounts.spotify.com')
+    })
+
+    it('Should pass the request options to every page and batch', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: hangingFetch(calls) } })
+        const signal = AbortSignal.abort()
+
+        const page = await snodeify.paginate('getUserSavedTracks', ['token'], { requestOptions: { signal } })
+            .collectAll()
+            .catch((error) => error)
+        const item = await snodeify.createLoader({ accessToken: 'token', requestOptions: { signal } })
+            .loadTrack('duke1')
+            .catch((error) => error)
+
+        expect(page.name).to.equal('AbortError')
+        expect(item.name).to.equal('AbortError')
+        expect(calls).to.have.lengthOf(0)
+    })
+})
@@ -0,0 +1,106 @@
+import { expect } from 'chai'
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import Snodeify, { Cassette, CassetteMode, UnmatchedRequestError } from '../index.js'
+
+describe('Cassettes', () => {
+    let directory
+    let path
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'snodeify-cassette-'))
+        path = join(directory, 'cassette.json')
+    })
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true })
+    })
+
+    const record = async () => {
+        const calls = []
+        const fetch = async (uri, options) => {
+            calls.push(options)
+            if (new URL(uri).pathname === '/api/token') {
+                return new Response(JSON.stringify({ access_token: 'new-access-token', refresh_token: 'new-refresh-token', expires_in: 3600 }))
+            }
+            return new Response(JSON.stringify({ id: 'album' }), { headers: { 'Content-Type': 'application/json' } })
+        }
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            clientID: 'id',
+            clientSecret: 'shh',
+            accessToken: 'token',
+            transport: { fetch },
+            cassette: new Cassette(path, { mode: CassetteMode.Record })
+        })
+        await snodeify.getAlbum('album')
+        await snodeify.getRefreshToken('old-refresh-token')
+        return calls
+    }
+
+    it('Should record requests and responses without tokens', async () => {
+        const calls = await record()
+
+        const saved = await readFile(path, 'utf8')
+        const { interactions } = JSON.parse(saved)
+        expect(calls).to.have.lengthOf(2)
+        expect(interactions).to.have.lengthOf(2)
+        expect(interactions[0].request).to.deep.include({ method: 'GET', body: null })
+        expect(interactions[0].response).to.deep.include({ status: 200, body: '{"id":"album"}' })
+        expect(saved).to.not.include('shh')
+        expect(saved).to.not.include('Bearer')
+        expect(saved).to.not.include('new-access-token')
+        expect(saved).to.not.include('new-refresh-token')
+        expect(saved).to.not.include('old-refresh-token')
+        expect(interactions[1].request.body).to.include('refresh_token=%5BREDACTED%5D')
+    })
+
+    it('Should replay the recorded responses without sending requests', async () => {
+        await record()
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'another token',
+            transport: { fetch: () => { throw new Error('The request was sent.') } },
+            cassette: new Cassette(path)
+        })
+
+        const album = await snodeify.getAlbum('album')
+
+        expect(album).to.deep.equal({ id: 'album' })
+    })
+
+    it('Should fail on requests that were not recorded', async () => {
+        await record()
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', cassette: new Cassette(path) })
+
+        await snodeify.getAlbum('album')
+        const repeated = await snodeify.getAlbum('album').catch((error) => error)
+        const other = await snodeify.getArtist('artist').catch((error) => error)
+
+        expect(repeated).to.be.instanceOf(UnmatchedRequestError)
+        expect(other).to.be.instanceOf(UnmatchedRequestError)
+        expect(other.method).to.equal('GET')
+    })
+
+    it('Should record plain text responses unchanged', async () => {
+        const text = 'Too+many requests=slow down'
+        const fetch = async () => new Response(text, { status: 429, headers: { 'Content-Type': 'text/plain' } })
+        const options = { method: 'GET', headers: { 'Authorization': 'Bearer token' } }
+
+        await new Cassette(path, { mode: CassetteMode.Record }).fetch('https://api.spotify.com/v1/me', options, fetch)
+        const replayed = await new Cassette(path).fetch('https://api.spotify.com/v1/me', options)
+
+        expect(JSON.parse(await readFile(path, 'utf8')).interactions[0].response.body).to.equal(text)
+        expect(replayed.status).to.equal(429)
+        expect(await replayed.text()).to.equal(text)
+    })
+
+    it('Should save a file shared by two cassettes at once', async () => {
+        const cassettes = [new Cassette(path, { mode: CassetteMode.Record }), new Cassette(path, { mode: CassetteMode.Record })]
+
+        await Promise.all(cassettes.map((cassette) => cassette.save()))
+
+        expect(JSON.parse(await readFile(path, 'utf8'))).to.deep.equal({ interactions: [] })
+    })
+})
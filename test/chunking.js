@@ -0,0 +1,77 @@
+import { expect } from 'chai'
+import Snodeify from '../index.js'
+import { NotFoundError, ValidationError } from '../lib/errors.js'
+
+const ids = (count) => Array.from({ length: count }, (_, i) => `id${i}`)
+
+const idsFetch = (calls, respond) => async (uri) => {
+    const requested = new URL(uri).searchParams.get('ids').split(',')
+    calls.push(requested)
+    // Answer the later chunks first to make sure the results are merged back in order.
+    await new Promise((resolve) => setTimeout(resolve, 10 - calls.length))
+    return respond(requested)
+}
+
+describe('Chunking', () => {
+    it('Should split long ID lists and merge the results in order', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            transport: {
+                fetch: idsFetch(calls, (requested) => new Response(JSON.stringify({ albums: requested.map((id) => ({ id })) })))
+            }
+        })
+
+        const { albums } = await snodeify.getSeveralAlbums('token', ids(45))
+
+        expect(calls.map((chunk) => chunk.length)).to.deep.equal([20, 20, 5])
+        expect(albums.map((album) => album.id)).to.deep.equal(ids(45))
+    })
+
+    it('Should concatenate the booleans of library checks', async () => {
+        const snodeify = Snodeify.withConfig({
+            transport: { fetch: idsFetch([], (requested) => new Response(JSON.stringify(requested.map((id) => id.endsWith('0'))))) }
+        })
+
+        const saved = await snodeify.checkUserSavedTracks('token', ids(120))
+
+        expect(saved).to.have.lengthOf(120)
+        expect(saved.filter(Boolean)).to.have.lengthOf(12)
+        expect(saved[110]).to.equal(true)
+    })
+
+    it('Should not send more chunks at once than allowed', async () => {
+        let inFlight = 0
+        let maxInFlight = 0
+        const snodeify = Snodeify.withConfig({
+            chunkConcurrency: 2,
+            transport: {
+                fetch: async () => {
+                    maxInFlight = Math.max(maxInFlight, ++inFlight)
+                    await new Promise((resolve) => setTimeout(resolve, 5))
+                    inFlight--
+                    return new Response(JSON.stringify({ audio_features: [] }))
+                }
+            }
+        })
+
+        await snodeify.getSeveralTrackAudioFeatures('token', ids(1000))
+
+        expect(maxInFlight).to.equal(2)
+    })
+
+    it('Should throw the error of a failed chunk', async () => {
+        const snodeify = Snodeify.withConfig({
+            transport: { fetch: idsFetch([], () => new Response(JSON.stringify({}), { status: 404 })) }
+        })
+
+        const error = await snodeify.getSeveralArtists('token', ids(60)).catch((error) => error)
+
+        expect(error).to.be.instanceOf(NotFoundError)
+    })
+
+    it('Should refuse an empty ID list', async () => {
+        const error = await Snodeify.withConfig({}).getSeveralShows('token', '', []).catch((error) => error)
+
+        expect(error).to.be.instanceOf(ValidationError)
+    })
+})
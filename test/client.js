@@ -0,0 +1,65 @@
+import { expect } from 'chai'
+import Snodeify, { getAlbum } from '../index.js'
+import { AuthenticationError } from '../lib/errors.js'
+
+const respondWith = (body, calls = []) => async (uri, options) => {
+    calls.push({ uri, options })
+    return new Response(JSON.stringify(body), { status: 200 })
+}
+
+describe('Client', () => {
+    it('Should take the access token as the first argument by default', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ accessToken: 'token', transport: { fetch: respondWith({ id: 'album' }, calls) } })
+
+        await snodeify.getAlbum('explicit', 'album')
+
+        expect(new URL(calls[0].uri).pathname).to.equal('/v1/albums/album')
+        expect(calls[0].options.headers['Authorization']).to.equal('Bearer explicit')
+    })
+
+    it('Should send the access token of the instance', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: respondWith({ id: 'album' }, calls) } })
+
+        const album = await snodeify.getAlbum('album')
+
+        expect(album).to.deep.equal({ id: 'album' })
+        expect(new URL(calls[0].uri).pathname).to.equal('/v1/albums/album')
+        expect(calls[0].options.headers['Authorization']).to.equal('Bearer token')
+    })
+
+    it('Should send the token last set with setAccessToken', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: respondWith({}, calls) } })
+
+        snodeify.setAccessToken('other')
+        await snodeify.getAlbum('album')
+
+        expect(calls[0].options.headers['Authorization']).to.equal('Bearer other')
+    })
+
+    it('Should refuse to call an endpoint before a token is set', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, transport: { fetch: respondWith({}, calls) } })
+
+        const error = await snodeify.getAlbum('album').catch((error) => error)
+
+        expect(error).to.be.instanceOf(AuthenticationError)
+        expect(calls).to.have.lengthOf(0)
+    })
+
+    it('Should keep the explicit token of the standalone endpoints', async () => {
+        const originalFetch = globalThis.fetch
+        const calls = []
+        globalThis.fetch = respondWith({ id: 'album' }, calls)
+
+        try {
+            await getAlbum('token', 'album')
+        } finally {
+            globalThis.fetch = originalFetch
+        }
+
+        expect(calls[0].options.headers['Authorization']).to.equal('Bearer token')
+    })
+})
@@ -0,0 +1,92 @@
+import { expect } from 'chai'
+import Snodeify, { NotFoundError, ResponseCache } from '../index.js'
+
+const countingFetch = (calls, status = 200) => async (uri, options) => {
+    calls.push({ uri, authorization: options.headers.Authorization })
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    return new Response(JSON.stringify({ uri }), { status, headers: { ETag: '"v1"' } })
+}
+
+describe('Request coalescing', () => {
+    it('Should share one request between identical concurrent GETs', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: countingFetch(calls) } })
+
+        const playlists = await Promise.all([
+            snodeify.getPlaylist('playlist'),
+            snodeify.getPlaylist('playlist'),
+            snodeify.getPlaylist('playlist', 'SE')
+        ])
+
+        expect(calls).to.have.lengthOf(2)
+        expect(playlists[0]).to.deep.equal(playlists[1])
+        expect(playlists[0]).to.not.equal(playlists[1])
+    })
+
+    it('Should not share requests between users', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: countingFetch(calls) } })
+
+        await Promise.all([
+            snodeify.forUser('alice', { accessToken: 'alice' }).getPlaybackState(),
+            snodeify.forUser('bob', { accessToken: 'bob' }).getPlaybackState()
+        ])
+
+        expect(calls.map((call) => call.authorization)).to.deep.equal(['Bearer alice', 'Bearer bob'])
+    })
+
+    it('Should not share requests once they have completed, nor other methods', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: countingFetch(calls) } })
+
+        await snodeify.getPlaybackState()
+        await snodeify.getPlaybackState()
+        await Promise.all([snodeify.skipToNext(), snodeify.skipToNext()])
+
+        expect(calls).to.have.lengthOf(4)
+    })
+
+    it('Should share the error of a failed request', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: countingFetch(calls, 404) } })
+
+        const errors = await Promise.all([
+            snodeify.getAlbum('album').catch((error) => error),
+            snodeify.getAlbum('album').catch((error) => error)
+        ])
+
+        expect(calls).to.have.lengthOf(1)
+        expect(errors[0]).to.be.instanceOf(NotFoundError)
+        expect(errors[1]).to.equal(errors[0])
+    })
+
+    it('Should combine with the response cache', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            transport: { fetch: countingFetch(calls) },
+            cache: new ResponseCache()
+        })
+
+        await Promise.all([snodeify.getArtist('queen'), snodeify.getArtist('queen')])
+        const artist = await snodeify.getArtist('queen')
+
+        expect(calls).to.have.lengthOf(1)
+        expect(artist.uri).to.equal('https://api.spotify.com/v1/artists/queen')
+    })
+
+    it('Should not share requests when disabled', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            transport: { fetch: countingFetch(calls) },
+            coalesceRequests: false
+        })
+
+        await Promise.all([snodeify.getAlbum('album'), snodeify.getAlbum('album')])
+
+        expect(calls).to.have.lengthOf(2)
+    })
+})
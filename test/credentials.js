@@ -0,0 +1,76 @@
+import { expect } from 'chai'
+import Snodeify from '../index.js'
+import { AuthenticationError } from '../lib/errors.js'
+
+const appFetch = (calls, expiresIn = 3600) => async (uri, options) => {
+    calls.push({ uri, options })
+    if (uri.endsWith('api/token')) {
+        const count = calls.filter((call) => call.uri.endsWith('api/token')).length
+        return new Response(JSON.stringify({ access_token: `app${count}`, token_type: 'Bearer', expires_in: expiresIn }), { status: 200 })
+    }
+    return new Response(JSON.stringify({ id: 'album' }), { status: 200 })
+}
+
+const tokenCalls = (calls) => calls.filter((call) => call.uri.endsWith('api/token'))
+
+describe('Client credentials', () => {
+    it('Should request an app token with the client credentials grant and cache it', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, clientID: 'id', clientSecret: 'secret', transport: { fetch: appFetch(calls) } })
+
+        const first = await snodeify.getClientCredentialsToken()
+        const second = await snodeify.getClientCredentialsToken()
+
+        expect(first).to.equal('app1')
+        expect(second).to.equal('app1')
+        expect(calls).to.have.lengthOf(1)
+        expect(calls[0].options.headers['Authorization']).to.equal(`Basic ${Buffer.from('id:secret').toString('base64')}`)
+        expect(calls[0].options.body).to.equal('grant_type=client_credentials')
+    })
+
+    it('Should request a new app token once it is about to expire', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, clientID: 'id', clientSecret: 'secret', transport: { fetch: appFetch(calls, 30) } })
+
+        await snodeify.getClientCredentialsToken()
+        const token = await snodeify.getClientCredentialsToken()
+
+        expect(token).to.equal('app2')
+    })
+
+    it('Should call catalog endpoints with the app token without a user', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, clientID: 'id', clientSecret: 'secret', transport: { fetch: appFetch(calls) } })
+
+        await Promise.all([snodeify.getAlbum('a'), snodeify.getAlbum('b')])
+
+        expect(tokenCalls(calls)).to.have.lengthOf(1)
+        expect(calls.slice(1).map((call) => call.options.headers['Authorization'])).to.deep.equal(['Bearer app1', 'Bearer app1'])
+    })
+
+    it('Should prefer the token of the user', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            clientID: 'id',
+            clientSecret: 'secret',
+            accessToken: 'user',
+            transport: { fetch: appFetch(calls) }
+        })
+
+        await snodeify.getAlbum('album')
+
+        expect(tokenCalls(calls)).to.have.lengthOf(0)
+        expect(calls[0].options.headers['Authorization']).to.equal('Bearer user')
+    })
+
+    it('Should not call endpoints of the user with the app token', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, clientID: 'id', clientSecret: 'secret', transport: { fetch: appFetch(calls) } })
+
+        const error = await snodeify.getUserSavedAlbums().catch((error) => error)
+
+        expect(error).to.be.instanceOf(AuthenticationError)
+        expect(calls).to.have.lengthOf(0)
+    })
+})
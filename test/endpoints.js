@@ -0,0 +1,46 @@
+import { expect } from 'chai'
+import Snodeify from '../index.js'
+
+const respondWith = (status, body, calls = []) => async (uri, options) => {
+    calls.push({ uri, options })
+    return new Response(body, { status })
+}
+
+describe('Endpoints', () => {
+    it('Should resolve to null when the response has no content', async () => {
+        const snodeify = Snodeify.withConfig({ transport: { fetch: respondWith(204, null) } })
+
+        expect(await snodeify.pausePlayback('token')).to.equal(null)
+    })
+
+    it('Should request the top tracks of an artist', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: respondWith(200, '{"tracks":[]}', calls) } })
+
+        await snodeify.getArtistTopTracks('token', 'genesis', 'SE')
+
+        expect(new URL(calls[0].uri).pathname).to.equal('/v1/artists/genesis/top-tracks')
+    })
+
+    it('Should set the repeat mode of the player', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: respondWith(204, null, calls) } })
+
+        await snodeify.setRepeatMode('token', 'track')
+
+        const url = new URL(calls[0].uri)
+        expect(calls[0].options.method).to.equal('PUT')
+        expect(url.pathname).to.equal('/v1/me/player/repeat')
+        expect(url.searchParams.get('state')).to.equal('track')
+    })
+
+    it('Should send the items added to a playlist in the body', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: respondWith(201, '{"snapshot_id":"abc"}', calls) } })
+
+        const result = await snodeify.addItemsToPlaylist('token', 'prog', ['spotify:track:duke1'], 0)
+
+        expect(JSON.parse(calls[0].options.body)).to.deep.equal({ uris: ['spotify:track:duke1'], position: 0 })
+        expect(result).to.deep.equal({ snapshot_id: 'abc' })
+    })
+})
@@ -0,0 +1,99 @@
+import { expect } from 'chai'
+import * as WebRequest from '../lib/requests/WebRequest.js'
+import { Method } from '../lib/requests/Request.js'
+import { resolveRetryPolicy } from '../lib/requests/RetryPolicy.js'
+import { getSeveralAlbums } from '../lib/album.js'
+import {
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    ServerError,
+    SpotifyApiError,
+    ValidationError
+} from '../lib/errors.js'
+
+const originalFetch = globalThis.fetch
+
+const respondWith = (status, body, headers = {}) => {
+    globalThis.fetch = async () => new Response(JSON.stringify(body), { status, headers })
+}
+
+const request = () => WebRequest.builder({ retryPolicy: resolveRetryPolicy(false) })
+    .withPath('albums/4aawyAB9vmqN3uQ7FjRGTy')
+    .withMethod(Method.GET)
+    .build()
+
+describe('Request errors', () => {
+    afterEach(() => {
+        globalThis.fetch = originalFetch
+    })
+
+    it('Should resolve to the response when the request succeeds', async () => {
+        respondWith(200, { id: '4aawyAB9vmqN3uQ7FjRGTy' })
+
+        const response = await request().fetch()
+
+        expect(await response.json()).to.deep.equal({ id: '4aawyAB9vmqN3uQ7FjRGTy' })
+    })
+
+    it('Should throw an AuthenticationError with the details of a 401', async () => {
+        respondWith(401, { error: { status: 401, message: 'The access token expired' } })
+
+        const error = await request().fetch().catch((error) => error)
+
+        expect(error).to.be.instanceOf(AuthenticationError)
+        expect(error).to.be.instanceOf(SpotifyApiError)
+        expect(error.status).to.equal(401)
+        expect(error.message).to.equal('The access token expired')
+        expect(error.method).to.equal('GET')
+        expect(error.path).to.equal('albums/4aawyAB9vmqN3uQ7FjRGTy')
+    })
+
+    it('Should throw a NotFoundError on 404', async () => {
+        respondWith(404, { error: { status: 404, message: 'Non existing id' } })
+
+        const error = await request().fetch().catch((error) => error)
+
+        expect(error).to.be.instanceOf(NotFoundError)
+    })
+
+    it('Should throw a RateLimitError carrying Retry-After on 429', async () => {
+        respondWith(429, { error: { status: 429, message: 'API rate limit exceeded' } }, { 'Retry-After': '7' })
+
+        const error = await request().fetch().catch((error) => error)
+
+        expect(error).to.be.instanceOf(RateLimitError)
+        expect(error.retryAfter).to.equal(7)
+        expect(error.headers['retry-after']).to.equal('7')
+    })
+
+    it('Should throw a ServerError with the reason on 5xx', async () => {
+        respondWith(503, { error: { status: 503, message: 'Service unavailable', reason: 'UNKNOWN' } })
+
+        const error = await request().fetch().catch((error) => error)
+
+        expect(error).to.be.instanceOf(ServerError)
+        expect(error.reason).to.equal('UNKNOWN')
+    })
+
+    it('Should read errors returned by the accounts service', async () => {
+        respondWith(400, { error: 'invalid_grant', error_description: 'Invalid authorization code' })
+
+        const error = await request().fetch().catch((error) => error)
+
+        expect(error).to.be.instanceOf(ValidationError)
+        expect(error.reason).to.equal('invalid_grant')
+        expect(error.message).to.equal('Invalid authorization code')
+    })
+
+    it('Should throw a ValidationError before sending invalid parameters', async () => {
+        globalThis.fetch = async () => {
+            throw new Error('No request should be sent')
+        }
+
+        const error = await getSeveralAlbums('token', []).catch((error) => error)
+
+        expect(error).to.be.instanceOf(ValidationError)
+        expect(error.status).to.equal(400)
+    })
+})
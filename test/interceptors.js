@@ -0,0 +1,83 @@
+import { expect } from 'chai'
+import Snodeify from '../index.js'
+import { NotFoundError } from '../lib/errors.js'
+
+const respondWith = (status, body, calls = []) => async (uri, options) => {
+    calls.push({ uri, options })
+    return new Response(JSON.stringify(body), { status })
+}
+
+describe('Interceptors', () => {
+    it('Should let onRequest mutate the request before it is sent', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: respondWith(200, {}, calls) } })
+        snodeify.use({
+            onRequest: (context) => {
+                context.headers['X-Correlation-ID'] = 'correlation'
+                context.url = context.url.replace('markets', 'markets?audited=true')
+            }
+        })
+
+        await snodeify.getAvailableMarkets('token')
+
+        expect(calls[0].uri).to.equal('https://api.spotify.com/v1/markets?audited=true')
+        expect(calls[0].options.headers['X-Correlation-ID']).to.equal('correlation')
+        expect(calls[0].options.headers['Authorization']).to.equal('Bearer token')
+    })
+
+    it('Should skip the transport when onRequest returns a response', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            transport: { fetch: respondWith(200, {}, calls) },
+            interceptors: [{ onRequest: () => new Response(JSON.stringify({ markets: ['PH'] })) }]
+        })
+
+        const markets = await snodeify.getAvailableMarkets('token')
+
+        expect(markets).to.deep.equal({ markets: ['PH'] })
+        expect(calls).to.have.lengthOf(0)
+    })
+
+    it('Should let onResponse replace the response', async () => {
+        const snodeify = Snodeify.withConfig({ transport: { fetch: respondWith(200, { markets: ['PH'] }) } })
+        snodeify.use({
+            onResponse: async (response) => {
+                const body = await response.json()
+                return new Response(JSON.stringify({ markets: body.markets.map((market) => market.toLowerCase()) }))
+            }
+        })
+
+        const markets = await snodeify.getAvailableMarkets('token')
+
+        expect(markets).to.deep.equal({ markets: ['ph'] })
+    })
+
+    it('Should let onError recover from a failed request', async () => {
+        const errors = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: respondWith(404, {}) } })
+        snodeify.use({
+            onError: (error) => {
+                errors.push(error)
+                return new Response(JSON.stringify(null))
+            }
+        })
+
+        const album = await snodeify.getAlbum('token', 'missing')
+
+        expect(album).to.equal(null)
+        expect(errors[0]).to.be.instanceOf(NotFoundError)
+    })
+
+    it('Should stop calling an interceptor once removed', async () => {
+        const contexts = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: respondWith(200, {}) } })
+        const stop = snodeify.use({ onRequest: (context) => { contexts.push(context) } })
+
+        await snodeify.getAvailableMarkets('token')
+        stop()
+        await snodeify.getAvailableMarkets('token')
+
+        expect(contexts).to.have.lengthOf(1)
+        expect(contexts[0].method).to.equal('GET')
+    })
+})
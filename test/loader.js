@@ -0,0 +1,93 @@
+import { expect } from 'chai'
+import Snodeify, { MockSpotifyServer } from '../index.js'
+
+describe('Batch loader', () => {
+    let server
+    let snodeify
+
+    beforeEach(async () => {
+        server = await new MockSpotifyServer().start()
+        snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: server.issueToken(),
+            transport: { apiURI: server.apiURI, accountsURI: server.accountsURI }
+        })
+    })
+
+    afterEach(async () => {
+        await server.stop()
+    })
+
+    const paths = () => server.requests.map((request) => request.path)
+
+    it('Should batch the lookups made within the same tick', async () => {
+        const loader = snodeify.createLoader()
+
+        const [abacab, missing, opera, queen] = await Promise.all([
+            loader.loadAlbum('abacab'),
+            loader.loadAlbum('missing'),
+            Promise.resolve().then(() => loader.loadAlbum('opera')),
+            loader.loadArtist('queen')
+        ])
+
+        expect(abacab.name).to.equal('Abacab')
+        expect(missing).to.equal(null)
+        expect(opera.id).to.equal('opera')
+        expect(queen.id).to.equal('queen')
+        expect(paths().sort()).to.deep.equal(['/v1/albums', '/v1/artists'])
+    })
+
+    it('Should batch the lookups of each market apart', async () => {
+        const loader = snodeify.createLoader()
+
+        await Promise.all([loader.loadTrack('abacab1', 'SE'), loader.loadTrack('abacab2', 'SE'), loader.loadTrack('opera1')])
+
+        const markets = server.requests.map((request) => request.query.market ?? null)
+        expect(markets).to.have.members(['SE', null])
+    })
+
+    it('Should remember the items already loaded', async () => {
+        const loader = snodeify.createLoader()
+
+        const first = await loader.loadEpisode('episode1')
+        const [second] = await Promise.all([loader.loadEpisode('episode1'), loader.loadEpisode('episode1')])
+        loader.clear()
+        await loader.loadEpisode('episode1')
+
+        expect(second).to.equal(first)
+        expect(paths()).to.deep.equal(['/v1/episodes', '/v1/episodes'])
+    })
+
+    it('Should split batches longer than the endpoint allows', async () => {
+        const loader = snodeify.createLoader({ cache: false })
+        const ids = Array.from({ length: 25 }, (_, i) => `album${i}`)
+
+        const albums = await Promise.all(ids.map((id) => loader.loadAlbum(id)))
+
+        expect(albums.every((album) => album === null)).to.equal(true)
+        expect(paths()).to.deep.equal(['/v1/albums', '/v1/albums'])
+    })
+
+    it('Should reject every lookup of a failed batch', async () => {
+        const loader = snodeify.createLoader()
+        server.failNext(404)
+
+        const errors = await Promise.all([
+            loader.loadShow('podcast').catch((error) => error),
+            loader.loadShow('other').catch((error) => error)
+        ])
+
+        expect(errors[0]).to.be.instanceOf(Error)
+        expect(errors[1]).to.equal(errors[0])
+        expect(await loader.loadShow('podcast')).to.deep.include({ id: 'podcast' })
+    })
+
+    it('Should send the lookups with the access token of the loader when the instance does not bind it', async () => {
+        const token = server.issueToken()
+        const unbound = Snodeify.withConfig({ transport: { apiURI: server.apiURI, accountsURI: server.accountsURI } })
+
+        const track = await unbound.createLoader({ accessToken: token }).loadTrack('duke1')
+
+        expect(track).to.deep.include({ name: 'Turn It On Again' })
+    })
+})
@@ -0,0 +1,54 @@
+import { expect } from 'chai'
+import Snodeify, { createJSONLogger, LogLevel } from '../index.js'
+
+const collect = (level = LogLevel.Debug) => {
+    const lines = []
+    const logger = createJSONLogger({ level, write: (line) => lines.push(JSON.parse(line)) })
+    return { lines, logger }
+}
+
+describe('Logging', () => {
+    it('Should log the requests and responses without secrets', async () => {
+        const { lines, logger } = collect()
+        const fetch = async () => new Response(JSON.stringify({ access_token: 'new-access-token' }), { status: 200 })
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            clientID: 'id',
+            clientSecret: 'shh',
+            redirectURI: 'http://127.0.0.1/callback',
+            accessToken: 'token',
+            transport: { fetch },
+            logger
+        })
+
+        await snodeify.getAlbum('album', 'SE')
+        await snodeify.getAccessToken('authorization-code')
+
+        const [request, response, tokenRequest] = lines
+        expect(request).to.deep.include({ level: 'debug', message: 'Sending request', method: 'GET', attempt: 1 })
+        expect(request.url).to.equal('https://api.spotify.com/v1/albums/album?market=SE')
+        expect(request.headers.Authorization).to.equal('Bearer [REDACTED]')
+        expect(response).to.deep.include({ message: 'Received response', status: 200 })
+        expect(response.durationMS).to.be.a('number')
+        expect(tokenRequest.headers.Authorization).to.equal('Basic [REDACTED]')
+        expect(tokenRequest.body).to.include('code=%5BREDACTED%5D')
+        const logged = JSON.stringify(lines)
+        expect(logged).to.not.include('authorization-code')
+        expect(logged).to.not.include('Bearer token')
+    })
+
+    it('Should log failed responses as warnings', async () => {
+        const { lines, logger } = collect(LogLevel.Warn)
+        const fetch = async () => new Response('{}', { status: 404 })
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch }, logger })
+
+        await snodeify.getAlbum('album').catch(() => {})
+
+        expect(lines).to.have.lengthOf(1)
+        expect(lines[0]).to.deep.include({ level: 'warn', status: 404 })
+    })
+
+    it('Should refuse unknown levels', () => {
+        expect(() => createJSONLogger({ level: 'verbose' })).to.throw(TypeError)
+    })
+})
@@ -0,0 +1,89 @@
+import { expect } from 'chai'
+import Snodeify, { AccessDeniedError, AuthorizationError, generateCodeChallenge, StateMismatchError } from '../index.js'
+
+const tokenFetch = (calls) => async (uri, options) => {
+    calls.push({ uri, options })
+    return new Response(JSON.stringify({ access_token: 'token', refresh_token: 'refresh', expires_in: 3600 }), { status: 200 })
+}
+
+const config = {
+    clientID: 'id',
+    clientSecret: 'secret',
+    redirectURI: 'http://127.0.0.1:8888/callback',
+    responseType: 'code',
+    scopes: ['user-read-private']
+}
+
+describe('Login', () => {
+    it('Should send the state of the login to the authorization page', async () => {
+        const snodeify = Snodeify.withConfig(config)
+
+        const { url, state } = await snodeify.startLogin()
+
+        const query = new URL(url).searchParams
+        expect(query.get('state')).to.equal(state)
+        expect(query.get('client_id')).to.equal('id')
+        expect(query.has('code_challenge')).to.equal(false)
+    })
+
+    it('Should build the authorization URL without scopes', () => {
+        const snodeify = Snodeify.withConfig({ ...config, scopes: undefined })
+
+        const query = new URL(snodeify.getLoginURI()).searchParams
+
+        expect(query.get('client_id')).to.equal('id')
+        expect(query.get('scope')).to.equal(null)
+    })
+
+    it('Should exchange the code of a redirect matching the state', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ ...config, transport: { fetch: tokenFetch(calls) } })
+        const { state } = await snodeify.startLogin()
+
+        const tokens = await snodeify.handleCallback(`/callback?code=code&state=${state}`)
+
+        expect(tokens.access_token).to.equal('token')
+        expect(snodeify.accessToken).to.equal('token')
+        expect(new URLSearchParams(calls[0].options.body).get('code')).to.equal('code')
+    })
+
+    it('Should exchange the code with the verifier of a PKCE login', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ ...config, clientSecret: undefined, transport: { fetch: tokenFetch(calls) } })
+        const { url, state, codeVerifier } = await snodeify.startLogin()
+
+        await snodeify.handleCallback(`${config.redirectURI}?code=code&state=${state}`)
+
+        expect(new URL(url).searchParams.get('code_challenge')).to.equal(generateCodeChallenge(codeVerifier))
+        expect(new URLSearchParams(calls[0].options.body).get('code_verifier')).to.equal(codeVerifier)
+    })
+
+    it('Should refuse a state that does not match a pending login', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ ...config, transport: { fetch: tokenFetch(calls) } })
+        const { state } = await snodeify.startLogin()
+
+        const forged = await snodeify.handleCallback('/callback?code=code&state=forged').catch((error) => error)
+        await snodeify.handleCallback(`/callback?code=code&state=${state}`)
+        const replayed = await snodeify.handleCallback(`/callback?code=code&state=${state}`).catch((error) => error)
+
+        expect(forged).to.be.instanceOf(StateMismatchError)
+        expect(replayed).to.be.instanceOf(StateMismatchError)
+        expect(calls).to.have.lengthOf(1)
+    })
+
+    it('Should surface the errors of the redirect', async () => {
+        const snodeify = Snodeify.withConfig(config)
+        const denied = await snodeify.startLogin()
+        const failed = await snodeify.startLogin()
+
+        const deniedError = await snodeify.handleCallback(`/callback?error=access_denied&state=${denied.state}`)
+            .catch((error) => error)
+        const failedError = await snodeify.handleCallback(`/callback?error=server_error&state=${failed.state}`)
+            .catch((error) => error)
+
+        expect(deniedError).to.be.instanceOf(AccessDeniedError)
+        expect(failedError).to.be.instanceOf(AuthorizationError)
+        expect(failedError.reason).to.equal('server_error')
+    })
+})
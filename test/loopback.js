@@ -0,0 +1,135 @@
+import { expect } from 'chai'
+import { createServer } from 'node:http'
+import Snodeify, { AccessDeniedError, AuthorizationError } from '../index.js'
+
+let port
+let redirectURI
+
+// Asks the system for a port no other server is listening on
+const findFreePort = async () => {
+    const server = createServer()
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    const { port } = server.address()
+    await new Promise((resolve) => server.close(resolve))
+    return port
+}
+
+const withLoopback = (config = {}) => Snodeify.withConfig({
+    clientID: 'id',
+    clientSecret: 'secret',
+    redirectURI,
+    responseType: 'code',
+    scopes: [],
+    transport: {
+        fetch: async () => new Response(JSON.stringify({ access_token: 'token', expires_in: 3600 }), { status: 200 })
+    },
+    ...config
+})
+
+// Follows the authorization URL as if the user had logged in
+const redirectBack = (query) => async (url) => {
+    const state = new URL(url).searchParams.get('state')
+    return fetch(`${redirectURI}?${query}&state=${state}`)
+}
+
+describe('Loopback login', () => {
+    beforeEach(async () => {
+        port = await findFreePort()
+        redirectURI = `http://127.0.0.1:${port}/callback`
+    })
+
+    it('Should exchange the code of the redirect and serve a success page', async () => {
+        let page
+        const snodeify = withLoopback()
+
+        const tokens = await snodeify.loginWithLoopback({
+            onLoginURI: (url) => {
+                page = redirectBack('code=code')(url).then((response) => response.text())
+            }
+        })
+
+        expect(tokens.access_token).to.equal('token')
+        expect(snodeify.accessToken).to.equal('token')
+        expect(await page).to.contain('Logged in')
+    })
+
+    it('Should ignore redirects with a forged state', async () => {
+        const snodeify = withLoopback()
+
+        const tokens = await snodeify.loginWithLoopback({
+            onLoginURI: async (url) => {
+                const forged = await fetch(`${redirectURI}?code=code&state=forged`)
+                expect(forged.status).to.equal(400)
+                await redirectBack('code=code')(url)
+            }
+        })
+
+        expect(tokens.access_token).to.equal('token')
+    })
+
+    it('Should surface the errors of the redirect', async () => {
+        const snodeify = withLoopback()
+
+        const error = await snodeify.loginWithLoopback({ onLoginURI: redirectBack('error=access_denied') })
+            .catch((error) => error)
+
+        expect(error).to.be.instanceOf(AccessDeniedError)
+    })
+
+    it('Should give up after the timeout and shut down', async () => {
+        const snodeify = withLoopback()
+
+        const error = await snodeify.loginWithLoopback({ timeoutMS: 20 }).catch((error) => error)
+        const afterwards = await fetch(redirectURI).catch((error) => error)
+
+        expect(error).to.be.instanceOf(AuthorizationError)
+        expect(error.reason).to.equal('timeout')
+        expect(afterwards).to.be.instanceOf(TypeError)
+    })
+
+    it('Should time out while the login URI is still being opened', async () => {
+        const unhandled = []
+        const onUnhandled = (reason) => unhandled.push(reason)
+        process.on('unhandledRejection', onUnhandled)
+
+        try {
+            const error = await withLoopback().loginWithLoopback({
+                timeoutMS: 20,
+                onLoginURI: () => new Promise((resolve) => setTimeout(resolve, 100))
+            }).catch((error) => error)
+
+            expect(error).to.be.instanceOf(AuthorizationError)
+            expect(error.reason).to.equal('timeout')
+            expect(unhandled).to.deep.equal([])
+        } finally {
+            process.off('unhandledRejection', onUnhandled)
+        }
+    })
+
+    it('Should fail without a pending timeout when the port is taken', async () => {
+        const occupant = createServer()
+        await new Promise((resolve) => occupant.listen(port, '127.0.0.1', resolve))
+        const unhandled = []
+        const onUnhandled = (reason) => unhandled.push(reason)
+        process.on('unhandledRejection', onUnhandled)
+
+        try {
+            const error = await withLoopback().loginWithLoopback({ timeoutMS: 20 }).catch((error) => error)
+            await new Promise((resolve) => setTimeout(resolve, 50))
+
+            expect(error.code).to.equal('EADDRINUSE')
+            expect(unhandled).to.deep.equal([])
+        } finally {
+            process.off('unhandledRejection', onUnhandled)
+            await new Promise((resolve) => occupant.close(resolve))
+        }
+    })
+
+    it('Should refuse a redirect URI that is not a loopback URI', async () => {
+        const snodeify = withLoopback({ redirectURI: 'https://example.com/callback' })
+
+        const error = await snodeify.loginWithLoopback().catch((error) => error)
+
+        expect(error).to.be.instanceOf(AuthorizationError)
+    })
+})
@@ -0,0 +1,94 @@
+import { expect } from 'chai'
+import Snodeify, { MetricsCollector } from '../index.js'
+
+const respondInSequence = (...responses) => {
+    let calls = 0
+    return async (uri) => {
+        calls++
+        if (new URL(uri).pathname === '/api/token') {
+            return new Response(JSON.stringify({ access_token: 'fresh', expires_in: 3600 }), { status: 200 })
+        }
+        const [status, headers] = responses[Math.min(calls, responses.length) - 1]
+        return new Response(JSON.stringify({ id: 'album' }), { status, headers })
+    }
+}
+
+const record = (snodeify) => {
+    const events = []
+    for (const name of ['request:start', 'request:end', 'retry', 'rateLimited', 'tokenRefreshed']) {
+        snodeify.on(name, (payload) => events.push({ name, ...payload }))
+    }
+    return events
+}
+
+describe('Metrics', () => {
+    it('Should emit the lifecycle events of a call', async () => {
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            retry: { baseDelayMS: 1, maxDelayMS: 2 },
+            transport: { fetch: respondInSequence([429, { 'Retry-After': '0' }], [503], [200]) }
+        })
+        const events = record(snodeify)
+
+        await snodeify.getAlbum('album')
+
+        expect(events.map((event) => event.name))
+            .to.deep.equal(['request:start', 'rateLimited', 'retry', 'retry', 'request:end'])
+        expect(events[0]).to.deep.include({ endpoint: 'getAlbum', method: 'GET', path: 'albums/album' })
+        expect(events[3]).to.deep.include({ attempt: 2, status: 503 })
+        expect(events[4]).to.deep.include({ endpoint: 'getAlbum', status: 200, attempts: 3, error: null })
+        expect(events[4].latencyMS).to.be.a('number')
+    })
+
+    it('Should emit the end of failed calls', async () => {
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: respondInSequence([404]) } })
+        const events = record(snodeify)
+
+        await snodeify.getAlbum('album').catch(() => {})
+
+        expect(events[1]).to.deep.include({ name: 'request:end', status: 404, attempts: 1 })
+        expect(events[1].error).to.be.instanceOf(Error)
+    })
+
+    it('Should emit token refreshes', async () => {
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            clientID: 'id',
+            clientSecret: 'secret',
+            refreshToken: 'refresh',
+            transport: { fetch: respondInSequence([200]) }
+        })
+        const events = record(snodeify)
+
+        await snodeify.getAlbum('album')
+
+        const refreshed = events.find((event) => event.name === 'tokenRefreshed')
+        expect(refreshed).to.deep.include({ userID: 'default', grantType: 'refresh_token' })
+    })
+
+    it('Should summarize the calls in the Prometheus format', async () => {
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            retry: { baseDelayMS: 1, maxDelayMS: 2 },
+            transport: { fetch: respondInSequence([429, { 'Retry-After': '0' }], [200]) }
+        })
+        const metrics = new MetricsCollector({ buckets: [1, 0.1] })
+        const detach = metrics.attach(snodeify)
+
+        await snodeify.getAlbum('album')
+        await snodeify.getAlbum('album')
+        detach()
+        await snodeify.getAlbum('album')
+
+        const text = metrics.toPrometheus()
+        expect(text).to.include('# TYPE snodeify_requests_total counter')
+        expect(text).to.include('snodeify_requests_total{endpoint="getAlbum",method="GET",status="200"} 2')
+        expect(text).to.include('snodeify_request_duration_seconds_bucket{endpoint="getAlbum",le="0.1"} 2')
+        expect(text).to.include('snodeify_request_duration_seconds_bucket{endpoint="getAlbum",le="+Inf"} 2')
+        expect(text).to.include('snodeify_request_duration_seconds_count{endpoint="getAlbum"} 2')
+        expect(text).to.include('snodeify_retries_total{endpoint="getAlbum"} 1')
+        expect(text).to.include('snodeify_rate_limited_total{endpoint="getAlbum"} 1')
+    })
+})
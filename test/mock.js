@@ -0,0 +1,100 @@
+import { expect } from 'chai'
+import Snodeify, { MockSpotifyServer, NotFoundError, RepeatState } from '../index.js'
+
+describe('Mock server', () => {
+    let server
+    let snodeify
+
+    beforeEach(async () => {
+        server = await new MockSpotifyServer({ clientID: 'id', clientSecret: 'secret' }).start()
+        snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            clientID: 'id',
+            clientSecret: 'secret',
+            redirectURI: 'http://127.0.0.1:8888/callback',
+            responseType: 'code',
+            accessToken: server.issueToken(),
+            retry: { baseDelayMS: 1, maxDelayMS: 2 },
+            transport: { apiURI: server.apiURI, accountsURI: server.accountsURI }
+        })
+    })
+
+    afterEach(async () => {
+        await server.stop()
+    })
+
+    it('Should serve the catalog from the fixtures', async () => {
+        const album = await snodeify.getAlbum('abacab')
+        const { albums } = await snodeify.getSeveralAlbums(['duke', 'missing'])
+        const { tracks } = await snodeify.getArtistTopTracks('queen')
+        const error = await snodeify.getAlbum('missing').catch((error) => error)
+
+        expect(album.name).to.equal('Abacab')
+        expect(albums.map((album) => album?.id ?? null)).to.deep.equal(['duke', null])
+        expect(tracks[0].name).to.equal('Bohemian Rhapsody')
+        expect(error).to.be.instanceOf(NotFoundError)
+    })
+
+    it('Should page through the results', async () => {
+        const items = await snodeify.paginate('getAlbumTracks', ['abacab'], { pageSize: 2 }).collectAll()
+        const { tracks } = await snodeify.searchForItem('love', ['track'])
+
+        expect(items.map((track) => track.id)).to.deep.equal(['abacab1', 'abacab2', 'abacab3'])
+        expect(tracks.items.map((track) => track.id)).to.deep.equal(['opera2'])
+    })
+
+    it('Should keep the changes made to the library', async () => {
+        await snodeify.saveTracksForCurrentUser(['duke1'])
+        await snodeify.removeUserSavedTracks(['opera1'])
+
+        const saved = await snodeify.checkUserSavedTracks(['duke1', 'opera1', 'fragile1'])
+        const { items } = await snodeify.getUserSavedTracks()
+
+        expect(saved).to.deep.equal([true, false, true])
+        expect(items.map((item) => item.track.id)).to.deep.equal(['duke1', 'fragile1'])
+    })
+
+    it('Should keep the changes made to playlists', async () => {
+        const { id } = await snodeify.createPlaylist('mock-user', 'Road Trip', false, false, 'Songs for the road')
+        await snodeify.addItemsToPlaylist(id, ['spotify:track:opera1', 'spotify:track:duke1'])
+        await snodeify.addItemsToPlaylist(id, ['spotify:track:fragile1'], 0)
+        await snodeify.removePlaylistItems(id, [{ uri: 'spotify:track:duke1' }])
+
+        const { items } = await snodeify.getPlaylistItems(id)
+
+        expect(items.map((item) => item.track.id)).to.deep.equal(['fragile1', 'opera1'])
+    })
+
+    it('Should control the player', async () => {
+        await snodeify.startPlayback('', 'spotify:album:opera')
+        await snodeify.skipToNext()
+        await snodeify.setRepeatMode(RepeatState.Track)
+
+        const state = await snodeify.getPlaybackState()
+
+        expect(state.is_playing).to.equal(true)
+        expect(state.item.id).to.equal('opera2')
+        expect(state.repeat_state).to.equal('track')
+    })
+
+    it('Should simulate rate limits', async () => {
+        server.failNext(429, { retryAfter: 0 })
+
+        const album = await snodeify.getAlbum('abacab')
+
+        expect(album.id).to.equal('abacab')
+        expect(server.requests.filter((request) => request.path === '/v1/albums/abacab')).to.have.lengthOf(2)
+    })
+
+    it('Should refresh expired tokens through api/token', async () => {
+        const { url } = await snodeify.startLogin()
+        const redirect = await fetch(url, { redirect: 'manual' })
+        await snodeify.handleCallback(redirect.headers.get('location'))
+        server.expireTokens()
+
+        const album = await snodeify.getAlbum('duke')
+
+        expect(album.id).to.equal('duke')
+        expect(server.requests.map((request) => request.path).filter((path) => path === '/api/token')).to.have.lengthOf(2)
+    })
+})
@@ -0,0 +1,145 @@
+import { expect } from 'chai'
+import Snodeify from '../index.js'
+import { ValidationError } from '../lib/errors.js'
+
+const total = 7
+
+const minute = 60 * 1000
+const history = Array.from({ length: 10 }, (_, i) => ({ track: { id: `track${i}` }, played_at: new Date(i * minute).toISOString() }))
+
+const historyFetch = (calls) => async (uri) => {
+    const url = new URL(uri)
+    calls.push(url)
+    const limit = Number(url.searchParams.get('limit'))
+    const after = url.searchParams.get('after')
+    const before = url.searchParams.get('before')
+    let items = history
+    if (after != null) {
+        items = items.filter((item) => Date.parse(item.played_at) > Number(after)).slice(0, limit)
+    } else {
+        items = items.filter((item) => before == null || Date.parse(item.played_at) < Number(before)).slice(-limit)
+    }
+    items = [...items].reverse()
+    const cursors = items.length > 0
+        ? { after: String(Date.parse(items[0].played_at)), before: String(Date.parse(items[items.length - 1].played_at)) }
+        : null
+    return new Response(JSON.stringify({ items, cursors, limit, next: null }), { status: 200 })
+}
+
+const pagedFetch = (calls) => async (uri) => {
+    const url = new URL(uri)
+    calls.push(url)
+    const limit = Number(url.searchParams.get('limit'))
+    const offset = Number(url.searchParams.get('offset'))
+    const items = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, i) => ({ id: offset + i }))
+    const page = {
+        items,
+        limit,
+        offset,
+        total,
+        next: offset + limit < total ? `${url.origin}${url.pathname}?offset=${offset + limit}&limit=${limit}` : null
+    }
+    const body = url.pathname.endsWith('/search') ? { tracks: page } : page
+    return new Response(JSON.stringify(body), { status: 200 })
+}
+
+describe('Pagination', () => {
+    it('Should iterate over the items of every page', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: pagedFetch(calls) } })
+
+        const ids = []
+        for await (const item of snodeify.paginate('getPlaylistItems', ['token', 'playlist'], { pageSize: 3 })) {
+            ids.push(item.id)
+        }
+
+        expect(ids).to.deep.equal([0, 1, 2, 3, 4, 5, 6])
+        expect(calls.map((url) => url.searchParams.get('offset'))).to.deep.equal(['0', '3', '6'])
+        expect(calls[0].pathname).to.equal('/v1/playlists/playlist/tracks')
+    })
+
+    it('Should stop collecting at the maximum number of items', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: pagedFetch(calls) } })
+
+        const items = await snodeify
+            .paginate('getUserSavedTracks', ['token'], { pageSize: 2, maxItems: 3 })
+            .collectAll()
+
+        expect(items.map((item) => item.id)).to.deep.equal([0, 1, 2])
+        expect(calls).to.have.lengthOf(2)
+    })
+
+    it('Should use the largest page allowed by default', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: pagedFetch(calls) } })
+
+        const items = await snodeify.paginate(snodeify.getUserSavedAlbums, ['token'], { pageSize: 500 }).collectAll()
+
+        expect(items).to.have.lengthOf(total)
+        expect(calls[0].searchParams.get('limit')).to.equal('50')
+    })
+
+    it('Should read the paging object of search results', async () => {
+        const snodeify = Snodeify.withConfig({ transport: { fetch: pagedFetch([]) } })
+
+        const items = await snodeify.paginate('searchForItem', ['token', 'abacab', ['track']]).collectAll()
+
+        expect(items).to.have.lengthOf(total)
+    })
+
+    it('Should refuse endpoints that are not paged', () => {
+        const snodeify = Snodeify.withConfig({})
+
+        expect(() => snodeify.paginate('getAlbum', ['token', 'album'])).to.throw(ValidationError)
+        expect(() => snodeify.paginate('searchForItem', ['token', 'abacab', ['track', 'album']]))
+            .to.throw(ValidationError)
+    })
+
+    it('Should walk the listening history backward within a time window', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: historyFetch(calls) } })
+
+        const items = await snodeify
+            .paginate('getRecentlyPlayedTracks', ['token'], { pageSize: 3, since: 2 * minute, until: 8 * minute })
+            .collectAll()
+
+        expect(items.map((item) => item.track.id)).to.deep.equal(['track7', 'track6', 'track5', 'track4', 'track3', 'track2'])
+        expect(calls[0].searchParams.get('before')).to.equal(String(8 * minute))
+        expect(calls.every((url) => !url.searchParams.has('after'))).to.equal(true)
+    })
+
+    it('Should walk the listening history forward', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: historyFetch(calls) } })
+
+        const items = await snodeify
+            .paginate('getRecentlyPlayedTracks', ['token'], { pageSize: 4, direction: 'forward', since: 4 * minute })
+            .collectAll()
+
+        expect(items.map((item) => item.track.id)).to.deep.equal(['track8', 'track7', 'track6', 'track5', 'track9'])
+        expect(calls.map((url) => url.searchParams.get('after'))).to.deep.equal([String(4 * minute), String(8 * minute), String(9 * minute)])
+    })
+
+    it('Should walk the whole listening history forward without a start', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: historyFetch(calls) } })
+
+        const items = await snodeify
+            .paginate('getRecentlyPlayedTracks', ['token'], { pageSize: 4, direction: 'forward' })
+            .collectAll()
+
+        expect(items).to.have.lengthOf(9)
+        expect(calls[0].searchParams.get('after')).to.equal('0')
+        expect(items.map((item) => item.track.id)).to.include.members(['track1', 'track9'])
+    })
+
+    it('Should refuse both after and before cursors', async () => {
+        const snodeify = Snodeify.withConfig({ transport: { fetch: historyFetch([]) } })
+
+        const error = await snodeify.getRecentlyPlayedTracks('token', 20, 1, 2).catch((error) => error)
+
+        expect(error).to.be.instanceOf(ValidationError)
+        expect(() => snodeify.paginate('getFollowedArtists', ['token'], { direction: 'backward' })).to.throw(ValidationError)
+    })
+})
@@ -0,0 +1,63 @@
+import { expect } from 'chai'
+import Snodeify, { generateCodeChallenge, generateCodeVerifier } from '../index.js'
+
+const tokenFetch = (calls) => async (uri, options) => {
+    calls.push({ uri, options })
+    return new Response(JSON.stringify({ access_token: 'token', refresh_token: 'refresh', expires_in: 3600 }), { status: 200 })
+}
+
+const config = {
+    clientID: 'id',
+    redirectURI: 'http://127.0.0.1:8888/callback',
+    responseType: 'code',
+    scopes: ['user-read-private']
+}
+
+describe('PKCE', () => {
+    it('Should generate a verifier and its S256 challenge', () => {
+        const verifier = generateCodeVerifier()
+
+        expect(verifier).to.match(/^[A-Za-z0-9]{64}$/)
+        expect(generateCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r7wW1gFWFOEjXk'))
+            .to.equal('bwWFMyPfdG9qreDhH2lmftFx_dFeLDalzcT1gb_j68g')
+    })
+
+    it('Should send the challenge with the login request', () => {
+        const snodeify = Snodeify.withConfig(config)
+
+        const url = new URL(snodeify.getLoginURI({ codeVerifier: 'verifier' }))
+
+        expect(url.searchParams.get('code_challenge_method')).to.equal('S256')
+        expect(url.searchParams.get('code_challenge')).to.equal(generateCodeChallenge('verifier'))
+        expect(url.searchParams.get('scope')).to.equal('user-read-private')
+    })
+
+    it('Should exchange the code with the verifier instead of the secret', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ ...config, transport: { fetch: tokenFetch(calls) } })
+
+        await snodeify.getPKCEAccessToken('code', 'verifier')
+
+        const { options } = calls[0]
+        expect(options.headers).to.not.have.property('Authorization')
+        expect(Object.fromEntries(new URLSearchParams(options.body))).to.deep.equal({
+            client_id: 'id',
+            code: 'code',
+            code_verifier: 'verifier',
+            grant_type: 'authorization_code',
+            redirect_uri: config.redirectURI
+        })
+        expect(snodeify.accessToken).to.equal('token')
+    })
+
+    it('Should refresh without the secret', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ ...config, transport: { fetch: tokenFetch(calls) } })
+
+        await snodeify.getRefreshToken('refresh')
+
+        const { options } = calls[0]
+        expect(options.headers).to.not.have.property('Authorization')
+        expect(new URLSearchParams(options.body).get('client_id')).to.equal('id')
+    })
+})
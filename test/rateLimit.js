@@ -0,0 +1,103 @@
+import { expect } from 'chai'
+import Snodeify, { RateLimiter, RequestPriority } from '../index.js'
+
+const deferredFetch = () => {
+    const pending = []
+    const fetch = (uri) => new Promise((resolve) => {
+        pending.push({ path: new URL(uri).pathname, respond: () => resolve(new Response('{}', { status: 200 })) })
+    })
+    return { pending, fetch }
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5))
+
+describe('Rate limiter', () => {
+    it('Should bound the number of requests in flight', async () => {
+        const { pending, fetch } = deferredFetch()
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            transport: { fetch },
+            rateLimit: { requestsPerSecond: 1000, maxInFlight: 2 }
+        })
+
+        const calls = Array.from({ length: 5 }, (_, i) => snodeify.getAlbum(`album${i}`))
+        await tick()
+        expect(pending).to.have.lengthOf(2)
+
+        pending[0].respond()
+        await tick()
+        expect(pending).to.have.lengthOf(3)
+
+        pending.slice(1).forEach(({ respond }) => respond())
+        await tick()
+        pending.slice(3).forEach(({ respond }) => respond())
+        await Promise.all(calls)
+        expect(pending).to.have.lengthOf(5)
+    })
+
+    it('Should send the player controls ahead of the other requests', async () => {
+        const { pending, fetch } = deferredFetch()
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'token',
+            transport: { fetch },
+            rateLimit: { requestsPerSecond: 1000, maxInFlight: 1 }
+        })
+
+        const calls = [
+            snodeify.getSeveralTracks(['a']),
+            snodeify.getSeveralTracks(['b']),
+            snodeify.getUserSavedTracks(),
+            snodeify.pausePlayback()
+        ]
+        for (let i = 0; i < calls.length; i++) {
+            await tick()
+            pending[i].respond()
+        }
+        await Promise.all(calls)
+
+        expect(pending.map(({ path }) => path))
+            .to.deep.equal(['/v1/tracks', '/v1/me/player/pause', '/v1/tracks', '/v1/me/tracks'])
+    })
+
+    it('Should refill the bucket at the configured rate', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 1 })
+        const startedAt = Date.now()
+
+        for (let i = 0; i < 3; i++) {
+            const release = await limiter.acquire()
+            release()
+        }
+
+        expect(Date.now() - startedAt).to.be.at.least(35)
+    })
+
+    it('Should slow down when requests are rate limited', async () => {
+        let calls = 0
+        const fetch = async () => {
+            calls++
+            return calls === 1
+                ? new Response('{}', { status: 429, headers: { 'Retry-After': '0' } })
+                : new Response('{}', { status: 200 })
+        }
+        const limiter = new RateLimiter({ requestsPerSecond: 100, minRequestsPerSecond: 10 })
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch }, rateLimit: limiter })
+
+        await snodeify.getAlbum('album')
+
+        expect(calls).to.equal(2)
+        expect(limiter.getRate()).to.be.below(60)
+        expect(limiter.getPriority('me/player/next')).to.equal(RequestPriority.Interactive)
+    })
+
+    it('Should only give the interactive priority to the player controls', () => {
+        const limiter = new RateLimiter()
+
+        expect(limiter.getPriority('me/player/pause')).to.equal(RequestPriority.Interactive)
+        expect(limiter.getPriority('me/player/queue')).to.equal(RequestPriority.Interactive)
+        expect(limiter.getPriority('me/player/recently-played')).to.equal(RequestPriority.Normal)
+        expect(limiter.getPriority('me/player/devices')).to.equal(RequestPriority.Normal)
+        expect(limiter.getPriority('me/player')).to.equal(RequestPriority.Normal)
+    })
+})
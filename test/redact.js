@@ -0,0 +1,25 @@
+import { expect } from 'chai'
+import { redactBody } from '../lib/redact.js'
+
+describe('Redaction', () => {
+    it('Should redact the secret fields of a form', () => {
+        const body = redactBody('grant_type=authorization_code&code=secret', 'application/x-www-form-urlencoded')
+
+        expect(body).to.equal('grant_type=authorization_code&code=%5BREDACTED%5D')
+    })
+
+    it('Should redact the secret fields of a JSON body', () => {
+        const body = redactBody(JSON.stringify({ access_token: 'secret', expires_in: 3600 }), 'application/json')
+
+        expect(JSON.parse(body)).to.deep.equal({ access_token: '[REDACTED]', expires_in: 3600 })
+    })
+
+    it('Should leave the other bodies unchanged', () => {
+        const image = '/9j/4AAQSkZJRgABAQ+AAAQABAAD/2wBD=='
+
+        expect(redactBody('Too many requests', 'text/plain')).to.equal('Too many requests')
+        expect(redactBody(image, 'image/jpeg')).to.equal(image)
+        expect(redactBody('{ "id": "album" }', 'application/json')).to.equal('{ "id": "album" }')
+        expect(redactBody('', 'text/plain')).to.equal(null)
+    })
+})
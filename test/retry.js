@@ -0,0 +1,80 @@
+import { expect } from 'chai'
+import Snodeify from '../index.js'
+import { RateLimitError, ServerError } from '../lib/errors.js'
+
+const originalFetch = globalThis.fetch
+
+const respondInSequence = (...responses) => {
+    const calls = []
+    globalThis.fetch = async (uri, options) => {
+        calls.push(options.method)
+        const [status, body, headers] = responses[Math.min(calls.length, responses.length) - 1]
+        return new Response(JSON.stringify(body), { status, headers })
+    }
+    return calls
+}
+
+const withRetry = (retry) => Snodeify.withConfig({ retry: { baseDelayMS: 1, maxDelayMS: 2, ...retry } })
+
+describe('Retry policy', () => {
+    afterEach(() => {
+        globalThis.fetch = originalFetch
+    })
+
+    it('Should send a rate limited request again after Retry-After', async () => {
+        const calls = respondInSequence(
+            [429, { error: { status: 429 } }, { 'Retry-After': '0' }],
+            [200, { id: 'album' }]
+        )
+
+        const album = await withRetry().getAlbum('token', 'album')
+
+        expect(album).to.deep.equal({ id: 'album' })
+        expect(calls).to.have.lengthOf(2)
+    })
+
+    it('Should retry server errors of idempotent requests', async () => {
+        const calls = respondInSequence([502, {}], [503, {}], [200, { id: 'album' }])
+
+        const album = await withRetry().getAlbum('token', 'album')
+
+        expect(album).to.deep.equal({ id: 'album' })
+        expect(calls).to.have.lengthOf(3)
+    })
+
+    it('Should not retry server errors of POST requests', async () => {
+        const calls = respondInSequence([500, {}], [200, {}])
+
+        const error = await withRetry().skipToNext('token').catch((error) => error)
+
+        expect(error).to.be.instanceOf(ServerError)
+        expect(calls).to.deep.equal(['POST'])
+    })
+
+    it('Should give up after the maximum number of attempts', async () => {
+        const calls = respondInSequence([500, {}])
+
+        const error = await withRetry({ maxAttempts: 3 }).getAlbum('token', 'album').catch((error) => error)
+
+        expect(error).to.be.instanceOf(ServerError)
+        expect(calls).to.have.lengthOf(3)
+    })
+
+    it('Should give up when Retry-After exceeds the maximum wait time', async () => {
+        const calls = respondInSequence([429, {}, { 'Retry-After': '120' }])
+
+        const error = await withRetry({ maxWaitMS: 1000 }).getAlbum('token', 'album').catch((error) => error)
+
+        expect(error).to.be.instanceOf(RateLimitError)
+        expect(calls).to.have.lengthOf(1)
+    })
+
+    it('Should not retry when retries are disabled', async () => {
+        const calls = respondInSequence([503, {}], [200, {}])
+
+        const error = await Snodeify.withConfig({ retry: false }).getAlbum('token', 'album').catch((error) => error)
+
+        expect(error).to.be.instanceOf(ServerError)
+        expect(calls).to.have.lengthOf(1)
+    })
+})
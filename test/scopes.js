@@ -0,0 +1,67 @@
+import { expect } from 'chai'
+import Snodeify, { getRequiredScopes, InsufficientScopeError, saveTracksForCurrentUser, Scopes } from '../index.js'
+
+const respondWith = (calls) => async (uri, options) => {
+    calls.push({ uri, options })
+    return new Response(JSON.stringify({ items: [] }), { status: 200 })
+}
+
+const withScope = (scope, calls) => {
+    const snodeify = Snodeify.withConfig({ bindAccessToken: true, transport: { fetch: respondWith(calls) } })
+    snodeify.tokens.update({ access_token: 'token', scope, expires_in: 3600 })
+    return snodeify
+}
+
+describe('Scopes', () => {
+    it('Should compute the smallest set of scopes for a list of endpoints', () => {
+        const scopes = getRequiredScopes([saveTracksForCurrentUser, 'getUserSavedTracks', 'startPlayback', 'getAlbum'])
+
+        expect(scopes).to.deep.equal([Scopes.UserLibraryModify, Scopes.UserLibraryRead, Scopes.UserModifyPlaybackState])
+    })
+
+    it('Should list every scope of which any one is enough', () => {
+        expect(getRequiredScopes(['addItemsToPlaylist'])).to.deep.equal([Scopes.PlaylistModifyPrivate, Scopes.PlaylistModifyPublic])
+    })
+
+    it('Should fail before sending a request the granted scopes do not allow', async () => {
+        const calls = []
+        const snodeify = withScope('user-library-read', calls)
+
+        const error = await snodeify.saveTracksForCurrentUser(['track']).catch((error) => error)
+
+        expect(error).to.be.instanceOf(InsufficientScopeError)
+        expect(error.status).to.equal(403)
+        expect(error.missingScopes).to.deep.equal([Scopes.UserLibraryModify])
+        expect(calls).to.have.lengthOf(0)
+    })
+
+    it('Should send the requests the granted scopes allow', async () => {
+        const calls = []
+        const snodeify = withScope('user-library-read playlist-modify-private', calls)
+
+        await snodeify.getUserSavedTracks()
+        await snodeify.getAlbum('album')
+        await snodeify.addItemsToPlaylist('playlist', ['spotify:track:track'])
+
+        expect(calls).to.have.lengthOf(3)
+    })
+
+    it('Should not check the scopes of a token whose scopes are unknown', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'token', transport: { fetch: respondWith(calls) } })
+
+        await snodeify.startPlayback()
+
+        expect(calls).to.have.lengthOf(1)
+    })
+
+    it('Should forget the granted scopes when another access token is set', async () => {
+        const calls = []
+        const snodeify = withScope('user-library-read', calls)
+
+        snodeify.setAccessToken('other')
+        await snodeify.startPlayback()
+
+        expect(calls).to.have.lengthOf(1)
+    })
+})
@@ -0,0 +1,105 @@
+import { expect } from 'chai'
+import Snodeify, { defaultMaxSessions, MemoryTokenStore } from '../index.js'
+
+const accountsFetch = (calls) => async (uri, options) => {
+    calls.push({ uri, options })
+    if (uri.endsWith('api/token')) {
+        const refreshToken = new URLSearchParams(options.body).get('refresh_token')
+        return new Response(JSON.stringify({ access_token: `fresh-${refreshToken}`, expires_in: 3600 }), { status: 200 })
+    }
+    return new Response(JSON.stringify({ items: [] }), { status: 200 })
+}
+
+const authorizations = (calls) => calls
+    .filter((call) => !call.uri.endsWith('api/token'))
+    .map((call) => call.options.headers['Authorization'])
+
+describe('Sessions', () => {
+    it('Should send the token of each user', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: accountsFetch(calls) } })
+
+        await Promise.all([
+            snodeify.forUser('alice', { accessToken: 'alice' }).getUserSavedTracks(),
+            snodeify.forUser('bob', { accessToken: 'bob' }).getUserSavedTracks()
+        ])
+
+        expect(authorizations(calls)).to.deep.equal(['Bearer alice', 'Bearer bob'])
+        expect(snodeify.accessToken).to.equal(undefined)
+    })
+
+    it('Should refresh the tokens of each user on their own', async () => {
+        const calls = []
+        const store = new MemoryTokenStore()
+        const snodeify = Snodeify.withConfig({ clientID: 'id', clientSecret: 'secret', tokenStore: store, transport: { fetch: accountsFetch(calls) } })
+
+        await snodeify.forUser('alice', { refreshToken: 'alice' }).getUserSavedTracks()
+        await snodeify.forUser('bob', { refreshToken: 'bob' }).getUserSavedTracks()
+
+        expect(authorizations(calls)).to.deep.equal(['Bearer fresh-alice', 'Bearer fresh-bob'])
+        expect(store.get('alice').accessToken).to.equal('fresh-alice')
+        expect(store.get('bob').accessToken).to.equal('fresh-bob')
+    })
+
+    it('Should share the configuration and interceptors of the app', async () => {
+        const calls = []
+        const contexts = []
+        const snodeify = Snodeify.withConfig({ transport: { fetch: accountsFetch(calls) } })
+        const session = snodeify.forUser('alice', { accessToken: 'alice' })
+
+        snodeify.use({ onRequest: (context) => { contexts.push(context) } })
+        await session.getUserSavedTracks()
+
+        expect(session.transport).to.equal(snodeify.transport)
+        expect(snodeify.forUser('alice')).to.equal(session)
+        expect(contexts).to.have.lengthOf(1)
+    })
+
+    it('Should delete the tokens of a user on logout', async () => {
+        const store = new MemoryTokenStore()
+        store.set('alice', { accessToken: 'alice' })
+        const snodeify = Snodeify.withConfig({ tokenStore: store })
+
+        await snodeify.sessions.logout('alice')
+
+        expect(store.get('alice')).to.equal(null)
+        expect(snodeify.sessions.has('alice')).to.equal(false)
+    })
+
+    it('Should save the tokens passed for a user, forgetting the previous scopes', async () => {
+        const store = new MemoryTokenStore()
+        const snodeify = Snodeify.withConfig({ tokenStore: store })
+        const session = snodeify.forUser('alice')
+        await session.tokens.update({ access_token: 'old', scope: 'user-library-read', expires_in: 3600 })
+
+        snodeify.forUser('alice', { accessToken: 'new', refreshToken: 'refresh' })
+
+        expect(session.tokens.scope).to.equal(undefined)
+        expect(store.get('alice')).to.deep.include({ accessToken: 'new', refreshToken: 'refresh', scope: undefined })
+    })
+
+    it('Should forget the least recently used sessions past the maximum', () => {
+        const snodeify = Snodeify.withConfig({ maxSessions: 2 })
+
+        snodeify.forUser('alice')
+        snodeify.forUser('bob')
+        snodeify.forUser('alice')
+        snodeify.forUser('carol')
+
+        expect(snodeify.sessions.has('alice')).to.equal(true)
+        expect(snodeify.sessions.has('bob')).to.equal(false)
+        expect(snodeify.sessions.has('carol')).to.equal(true)
+    })
+
+    it('Should keep a bounded number of sessions by default', () => {
+        const snodeify = Snodeify.withConfig({})
+
+        for (let user = 0; user <= defaultMaxSessions; user++) {
+            snodeify.forUser(`user${user}`)
+        }
+
+        expect(snodeify.sessions.sessions.size).to.equal(defaultMaxSessions)
+        expect(snodeify.sessions.has('user0')).to.equal(false)
+        expect(snodeify.sessions.has(`user${defaultMaxSessions}`)).to.equal(true)
+    })
+})
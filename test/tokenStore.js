@@ -0,0 +1,101 @@
+import { expect } from 'chai'
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import Snodeify, { FileTokenStore, MemoryTokenStore } from '../index.js'
+
+const accountsFetch = (calls) => async (uri, options) => {
+    calls.push({ uri, options })
+    if (uri.endsWith('api/token')) {
+        return new Response(JSON.stringify({ access_token: 'fresh', expires_in: 3600 }), { status: 200 })
+    }
+    return new Response(JSON.stringify({ id: 'album' }), { status: 200 })
+}
+
+describe('Token stores', () => {
+    let directory
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'snodeify-'))
+    })
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true })
+    })
+
+    it('Should save the tokens of each user in a JSON file', async () => {
+        const path = join(directory, 'tokens', 'tokens.json')
+        const store = new FileTokenStore(path)
+
+        await Promise.all([store.set('alice', { accessToken: 'a' }), store.set('bob', { accessToken: 'b' })])
+        await store.delete('alice')
+
+        expect(await store.get('alice')).to.equal(null)
+        expect(await new FileTokenStore(path).get('bob')).to.deep.equal({ accessToken: 'b' })
+        expect(await readdir(join(directory, 'tokens'))).to.deep.equal(['tokens.json'])
+    })
+
+    it('Should write a file shared by two stores at once', async () => {
+        const path = join(directory, 'tokens.json')
+
+        await Promise.all([new FileTokenStore(path).set('alice', { accessToken: 'a' }), new FileTokenStore(path).set('bob', { accessToken: 'b' })])
+
+        expect(await readdir(directory)).to.deep.equal(['tokens.json'])
+        expect(await new FileTokenStore(path).get('alice')).to.deep.equal({ accessToken: 'a' })
+        expect(await new FileTokenStore(path).get('bob')).to.deep.equal({ accessToken: 'b' })
+    })
+
+    it('Should save refreshed tokens automatically', async () => {
+        const store = new MemoryTokenStore()
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            clientID: 'id',
+            clientSecret: 'secret',
+            userID: 'alice',
+            refreshToken: 'refresh',
+            tokenStore: store,
+            transport: { fetch: accountsFetch([]) }
+        })
+
+        await snodeify.getAlbum('album')
+
+        const saved = store.get('alice')
+        expect(saved.accessToken).to.equal('fresh')
+        expect(saved.refreshToken).to.equal('refresh')
+        expect(saved.expiresAt - saved.issuedAt).to.equal(3600 * 1000)
+    })
+
+    it('Should load the saved tokens after a restart', async () => {
+        const path = join(directory, 'tokens.json')
+        const calls = []
+        await new FileTokenStore(path).set('alice', {
+            accessToken: 'saved',
+            refreshToken: 'refresh',
+            issuedAt: Date.now(),
+            expiresAt: Date.now() + 3600 * 1000
+        })
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            userID: 'alice',
+            tokenStore: new FileTokenStore(path),
+            transport: { fetch: accountsFetch(calls) }
+        })
+
+        await snodeify.getAlbum('album')
+
+        expect(calls).to.have.lengthOf(1)
+        expect(calls[0].options.headers['Authorization']).to.equal('Bearer saved')
+    })
+
+    it('Should delete the tokens on logout', async () => {
+        const path = join(directory, 'tokens.json')
+        const store = new FileTokenStore(path)
+        await store.set('alice', { accessToken: 'saved' })
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, userID: 'alice', tokenStore: store })
+
+        await snodeify.logout()
+
+        expect(JSON.parse(await readFile(path, 'utf8'))).to.deep.equal({})
+        expect(snodeify.accessToken).to.equal(undefined)
+    })
+})
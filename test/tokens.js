@@ -0,0 +1,94 @@
+import { expect } from 'chai'
+import Snodeify from '../index.js'
+import { AuthenticationError } from '../lib/errors.js'
+
+const accountsFetch = (calls) => async (uri, options) => {
+    calls.push({ uri, options })
+    if (uri.endsWith('api/token')) {
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        return new Response(JSON.stringify({ access_token: 'fresh', expires_in: 3600 }), { status: 200 })
+    }
+    if (options.headers['Authorization'] !== 'Bearer fresh') {
+        return new Response(JSON.stringify({ error: { status: 401, message: 'The access token expired' } }), { status: 401 })
+    }
+    return new Response(JSON.stringify({ id: 'album' }), { status: 200 })
+}
+
+const tokenCalls = (calls) => calls.filter((call) => call.uri.endsWith('api/token'))
+
+describe('Tokens', () => {
+    it('Should refresh the access token with the refresh_token grant', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, clientID: 'id', clientSecret: 'secret', transport: { fetch: accountsFetch(calls) } })
+
+        const tokens = await snodeify.getRefreshToken('refresh')
+
+        const { options } = calls[0]
+        expect(tokens.access_token).to.equal('fresh')
+        expect(options.headers['Authorization']).to.equal(`Basic ${Buffer.from('id:secret').toString('base64')}`)
+        expect(Object.fromEntries(new URLSearchParams(options.body))).to.deep.equal({
+            grant_type: 'refresh_token',
+            refresh_token: 'refresh'
+        })
+        expect(snodeify.accessToken).to.equal('fresh')
+        expect(snodeify.tokens.refreshToken).to.equal('refresh')
+        expect(snodeify.tokens.expiresAt - snodeify.tokens.issuedAt).to.equal(3600 * 1000)
+    })
+
+    it('Should refresh an access token about to expire before sending the request', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'stale',
+            refreshToken: 'refresh',
+            expiresAt: Date.now() + 1000,
+            transport: { fetch: accountsFetch(calls) }
+        })
+
+        const album = await snodeify.getAlbum('album')
+
+        expect(album).to.deep.equal({ id: 'album' })
+        expect(calls.map((call) => call.options.headers['Authorization']).slice(1)).to.deep.equal(['Bearer fresh'])
+    })
+
+    it('Should send a request rejected with a 401 once more with a refreshed token', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'stale',
+            refreshToken: 'refresh',
+            transport: { fetch: accountsFetch(calls) }
+        })
+
+        const album = await snodeify.getAlbum('album')
+
+        expect(album).to.deep.equal({ id: 'album' })
+        expect(calls).to.have.lengthOf(3)
+        expect(tokenCalls(calls)).to.have.lengthOf(1)
+    })
+
+    it('Should share a single refresh between concurrent requests', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            bindAccessToken: true,
+            accessToken: 'stale',
+            refreshToken: 'refresh',
+            transport: { fetch: accountsFetch(calls) }
+        })
+
+        const albums = await Promise.all([snodeify.getAlbum('a'), snodeify.getAlbum('b'), snodeify.getAlbum('c')])
+
+        expect(albums).to.have.lengthOf(3)
+        expect(tokenCalls(calls)).to.have.lengthOf(1)
+    })
+
+    it('Should not retry a 401 without a refresh token', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({ bindAccessToken: true, accessToken: 'stale', transport: { fetch: accountsFetch(calls) } })
+
+        const error = await snodeify.getAlbum('album').catch((error) => error)
+
+        expect(error).to.be.instanceOf(AuthenticationError)
+        expect(calls).to.have.lengthOf(1)
+    })
+})
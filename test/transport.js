@@ -0,0 +1,31 @@
+import { expect } from 'chai'
+import Snodeify from '../index.js'
+
+describe('Transport', () => {
+    it('Should send requests with the configured fetch and base URIs', async () => {
+        const calls = []
+        const snodeify = Snodeify.withConfig({
+            transport: {
+                fetch: async (uri, options) => {
+                    calls.push({ uri, options })
+                    return new Response(JSON.stringify({ markets: ['PH'] }), { status: 200 })
+                },
+                apiURI: 'http://127.0.0.1:8080/v1',
+                dispatcher: 'dispatcher'
+            }
+        })
+
+        const markets = await snodeify.getAvailableMarkets('token')
+
+        expect(markets).to.deep.equal({ markets: ['PH'] })
+        expect(calls).to.have.lengthOf(1)
+        expect(calls[0].uri).to.equal('http://127.0.0.1:8080/v1/markets')
+        expect(calls[0].options.dispatcher).to.equal('dispatcher')
+    })
+
+    it('Should keep the Spotify base URIs by default', () => {
+        const snodeify = Snodeify.withConfig({ scopes: [] })
+
+        expect(snodeify.getLoginURI()).to.match(/^https:\/\/accounts\.spotify\.com\/authorize\?/)
+    })
+})